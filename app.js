@@ -7,32 +7,60 @@
  * This scheduler uses a deterministic greedy algorithm with fairness balancing:
  *
  * 1. HARD CONSTRAINTS (must satisfy):
- *    - Unavailability: Employees on LEAVE/TAD cannot be scheduled
+ *    - Unavailability: Employees on an absence (LEAVE, TAD, sick, ...) cannot be scheduled
  *    - One shift per day: Each employee gets at most one shift code per day
- *    - Min rest between shifts: E.g., 8 hours between shift end and next start
+ *    - Qualifications: Shifts can require skills of every assignee, and a
+ *      minimum number of assignees holding a skill (e.g. 1 charge RN per night)
+ *    - Min rest between shifts: E.g., 8 hours between shift end and next start,
+ *      computed from each shift's start/end times (overnight shifts end the next day)
  *
  * 2. COVERAGE TARGETING:
  *    - For each day and shift, try to fill the required headcount
+ *      (per-weekday coverage matrix, with date-specific overrides on top)
  *    - Process shifts in priority order (Night > Evening > Day > others)
  *
  * 3. FAIRNESS BALANCING:
  *    - Track total shifts per employee
  *    - Prefer assigning to employees with fewer shifts (load balancing)
  *    - Rotate night shifts to spread the burden
+ *    - Weigh staff preferences (preferred/avoided shifts, preferred days off)
+ *      and dated day-off / shift requests; these never block coverage
  *
  * 4. SOFT CONSTRAINTS (try to satisfy, warn if violated):
- *    - Max hours per week (default 60)
+ *    - Max hours per week (default 60), from shift durations over rolling
+ *      7-day windows or calendar weeks
  *    - Max consecutive working days (default 6)
  *
+ * Warnings are not a by-product of generation: validateSchedule() re-checks the
+ * roster after every generation, edit, drag or swap and outlines offending cells.
+ *
  * The algorithm processes each day sequentially, for each shift type,
  * selecting the most suitable available employee based on a scoring function
  * that considers availability, fairness, and constraint satisfaction.
+ *
+ * OPTIMIZE MODE:
+ * -------------
+ * The greedy pass never backtracks, so early choices can leave later days
+ * understaffed. In optimize mode its roster is handed to a Web Worker that
+ * runs simulated annealing (seeded with seededRandom) within a time budget,
+ * minimizing understaffing, rule violations and fairness spread.
  */
 
 // ============================================
 // STATE MANAGEMENT
 // ============================================
 
+// Absence types unavailability and roster cells can use (see ABSENCE TYPES)
+const DEFAULT_ABSENCE_TYPES = [
+    { code: 'LEAVE', label: 'L', desc: 'Annual leave', color: '#ef4444', countsAsHours: false, hours: 0, breaksStreak: true },
+    { code: 'TAD', label: 'TAD', desc: 'Training/Travel', color: '#a855f7', countsAsHours: false, hours: 0, breaksStreak: true },
+    { code: 'SICK', label: 'SK', desc: 'Sick leave', color: '#f97316', countsAsHours: false, hours: 0, breaksStreak: true },
+    { code: 'PAR', label: 'PL', desc: 'Parental leave', color: '#ec4899', countsAsHours: false, hours: 0, breaksStreak: true },
+    { code: 'TRN', label: 'TR', desc: 'Training day', color: '#0ea5e9', countsAsHours: true, hours: 8, breaksStreak: false },
+    { code: 'JURY', label: 'JD', desc: 'Jury duty', color: '#64748b', countsAsHours: true, hours: 8, breaksStreak: true },
+    { code: 'OCR', label: 'OR', desc: 'On-call rest', color: '#14b8a6', countsAsHours: false, hours: 0, breaksStreak: true }
+];
+
 const AppState = {
     industry: 'healthcare',
     calendarStyle: 'monthly',
@@ -42,18 +70,29 @@ const AppState = {
     startDate: null,
     duration: 14,
     coveragePreset: '24_7',
+    coverageOverrides: [], // Date-specific headcounts: { date: 'YYYY-MM-DD', shiftCode, count, note }
+    holidayRegion: '', // Key of HOLIDAY_REGIONS ('' = no built-in calendar)
+    holidays: [], // User-defined holidays: { date: 'YYYY-MM-DD', name, yearly }
+    holidayCoverage: 'sunday', // Holidays are staffed like 'sunday' or like their 'weekday'
+    leaveRequests: [], // Leave and swap requests awaiting or past approval (see LEAVE & SWAP REQUESTS)
     rotationPattern: 'custom', // Selected rotation pattern
     shifts: [],
+    absenceTypes: DEFAULT_ABSENCE_TYPES.map(type => ({ ...type })),
     groups: [],
     constraints: {
         minRestHours: 8,
         maxHoursWeek: 60,
         maxConsecutiveDays: 6,
-        targetShiftsPerPerson: 10
+        targetShiftsPerPerson: 10,
+        weeklyHoursMode: 'rolling', // 'rolling' (any 7 days) or 'calendar' (Mon-Sun weeks)
+        weekendRule: 'none' // Key of WEEKEND_RULES: 'none', '1of2' or '2of3'
     },
     schedule: null, // Generated schedule
-    warnings: [],
-    randomSeed: Date.now()
+    schedulePeriod: null, // { startDate, numDays, rotationPattern, rotationOffsets } the schedule was made for
+    periodHistory: null, // Tail of the previous period (see PERIOD CONTINUITY)
+    randomSeed: Date.now(),
+    schedulerMode: 'greedy', // 'greedy' (fast, single pass) or 'optimize' (background search)
+    optimizeSeconds: 10 // Time budget for optimize mode
 };
 
 // HTML escape to prevent XSS
@@ -66,6 +105,9 @@ function esc(str) {
 const DAY_ABBR = ['S', 'M', 'T', 'W', 'TH', 'F', 'S'];
 const DAY_NAMES = ['SU', 'M', 'T', 'W', 'TH', 'F', 'S'];
 
+// Weekday columns start on Monday (DAY_NAMES is indexed by Date.getDay())
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
 // ============================================
 // ROTATION PATTERNS BY INDUSTRY
 // ============================================
@@ -291,6 +333,7 @@ const ROTATION_PATTERNS = {
 
 document.addEventListener('DOMContentLoaded', () => {
     loadFromStorage();
+    loadHistory();
     initializeUI();
     bindEvents();
     renderUI();
@@ -302,6 +345,8 @@ function loadFromStorage() {
         try {
             const parsed = JSON.parse(saved);
             Object.assign(AppState, parsed);
+            migrateEmployeeIds();
+            migrateSchedulePeriod();
         } catch (e) {
             console.warn('Failed to load saved state:', e);
         }
@@ -311,8 +356,242 @@ function loadFromStorage() {
     }
 }
 
-function saveToStorage() {
-    localStorage.setItem('staffSchedulerState', JSON.stringify(AppState));
+// { recordHistory: false } saves without adding an undo step, for input that is still
+// being typed; the step is recorded by the next regular save
+function saveToStorage({ recordHistory: addUndoStep = true } = {}) {
+    // An archived version on screen is read-only; the draft stays as it was saved
+    if (archiveView) return;
+    const snapshot = JSON.stringify(AppState);
+    localStorage.setItem('staffSchedulerState', snapshot);
+    if (addUndoStep) recordHistory(snapshot);
+}
+
+// Saves from before period continuity don't record which period the schedule covers;
+// it was made for the period the state was saved with
+function migrateSchedulePeriod(state = AppState) {
+    if (state.schedule && !state.schedulePeriod) {
+        state.schedulePeriod = { ...getPeriodBounds(state), rotationPattern: null, rotationOffsets: {} };
+    }
+}
+
+// Older saves keyed schedules by "groupIndex-employeeIndex". Give every employee a
+// stable id and re-key the saved schedule so each row stays with the same person.
+function migrateEmployeeIds(state = AppState) {
+    const legacyKeys = {};
+    (state.groups || []).forEach((group, gIndex) => {
+        group.employees.forEach((emp, eIndex) => {
+            if (!emp.id) {
+                emp.id = generateEmployeeId();
+                legacyKeys[`${gIndex}-${eIndex}`] = emp.id;
+            }
+        });
+    });
+
+    if (Object.keys(legacyKeys).length === 0) return;
+
+    ['schedule', 'shiftCounts'].forEach(key => {
+        if (!state[key]) return;
+        const migrated = {};
+        Object.keys(state[key]).forEach(oldKey => {
+            migrated[legacyKeys[oldKey] || oldKey] = state[key][oldKey];
+        });
+        state[key] = migrated;
+    });
+}
+
+// ============================================
+// PROJECT FILES (Save / Open)
+// ============================================
+// A project file is the whole department setup plus its roster:
+//   { format, schemaVersion, savedAt, state: { department, shifts, groups, ... } }
+// Bump PROJECT_SCHEMA_VERSION whenever the state shape changes and add a step to
+// PROJECT_MIGRATIONS that upgrades a document from the previous version.
+// Files without a schemaVersion (e.g. a copy of the localStorage state) count as version 1.
+
+const PROJECT_FORMAT = 'staff-scheduler-project';
+const PROJECT_SCHEMA_VERSION = 6;
+
+// State saved in a project; history, presets and per-run counters stay in the browser
+const PROJECT_STATE_KEYS = [
+    'industry', 'departmentName', 'calendarStyle', 'month', 'year', 'startDate', 'duration',
+    'rotationPattern', 'coveragePreset', 'coverageOverrides', 'holidayRegion', 'holidays', 'holidayCoverage',
+    'shifts', 'absenceTypes', 'groups', 'leaveRequests', 'constraints', 'schedule', 'schedulePeriod', 'periodHistory', 'randomSeed', 'schedulerMode', 'optimizeSeconds'
+];
+
+// PROJECT_MIGRATIONS[n] upgrades state from version n to n + 1
+const PROJECT_MIGRATIONS = {
+    // v1 -> v2: schedules were keyed by "groupIndex-employeeIndex"; employees now carry ids
+    1: (state) => {
+        migrateEmployeeIds(state);
+        return state;
+    },
+    // v2 -> v3: schedules record the period they cover (for continuity into the next one)
+    2: (state) => {
+        migrateSchedulePeriod(state);
+        return state;
+    },
+    // v3 -> v4: holiday calendar settings (older projects had no holidays)
+    3: (state) => {
+        state.holidayRegion = '';
+        state.holidays = [];
+        state.holidayCoverage = 'sunday';
+        return state;
+    },
+    // v4 -> v5: configurable absence types (LEAVE and TAD used to be built in)
+    4: (state) => {
+        state.absenceTypes = DEFAULT_ABSENCE_TYPES.map(type => ({ ...type }));
+        return state;
+    },
+    // v5 -> v6: leave and swap request queue
+    5: (state) => {
+        state.leaveRequests = [];
+        return state;
+    }
+};
+
+function buildProjectDocument() {
+    const state = {};
+    PROJECT_STATE_KEYS.forEach(key => { state[key] = AppState[key]; });
+    return {
+        format: PROJECT_FORMAT,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        state
+    };
+}
+
+// Returns the project's state upgraded to PROJECT_SCHEMA_VERSION; throws on unusable files
+function readProjectDocument(doc) {
+    if (!doc || typeof doc !== 'object') throw new Error('not a project file');
+
+    // Bare state (no envelope) is treated as a version 1 document
+    const isEnvelope = doc.format === PROJECT_FORMAT;
+    if (!isEnvelope && !Array.isArray(doc.shifts)) throw new Error('not a project file');
+    let version = isEnvelope ? doc.schemaVersion || 1 : 1;
+    let state = JSON.parse(JSON.stringify(isEnvelope ? doc.state : doc));
+    checkProjectStateShape(state);
+
+    if (version > PROJECT_SCHEMA_VERSION) {
+        throw new Error(`it was saved by a newer version of the app (schema ${version}, this app reads up to ${PROJECT_SCHEMA_VERSION})`);
+    }
+    while (version < PROJECT_SCHEMA_VERSION) {
+        const migrate = PROJECT_MIGRATIONS[version];
+        if (!migrate) throw new Error(`no migration from schema version ${version}`);
+        state = migrate(state);
+        version++;
+    }
+    sanitizeProjectIds(state);
+    return state;
+}
+
+// Ids and codes end up in inline handlers (onclick="editCell('id', 3)"), so only the
+// characters the app itself generates are accepted from files
+const EMPLOYEE_ID_PATTERN = /^emp-[A-Za-z0-9-]+$/;
+const REQUEST_ID_PATTERN = /^req-[A-Za-z0-9-]+$/;
+const CODE_PATTERN = /^[A-Za-z0-9_-]{1,8}$/;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Throws before anything is applied if the parts the app relies on have the wrong shape
+function checkProjectStateShape(state) {
+    if (!isPlainObject(state)) throw new Error('the project has no settings');
+    if (!Array.isArray(state.shifts) || !state.shifts.every(isPlainObject)) throw new Error('the shift list is damaged');
+    if (state.absenceTypes !== undefined && (!Array.isArray(state.absenceTypes) || !state.absenceTypes.every(isPlainObject))) {
+        throw new Error('the absence type list is damaged');
+    }
+    if (!Array.isArray(state.groups)) throw new Error('the staff groups are damaged');
+    state.groups.forEach(group => {
+        if (!isPlainObject(group) || !Array.isArray(group.employees) || !group.employees.every(isPlainObject)) {
+            throw new Error('the staff groups are damaged');
+        }
+    });
+    if (state.schedule != null && (!isPlainObject(state.schedule) || !Object.values(state.schedule).every(Array.isArray))) {
+        throw new Error('the schedule is damaged');
+    }
+    if (state.leaveRequests !== undefined && (!Array.isArray(state.leaveRequests) || !state.leaveRequests.every(isPlainObject))) {
+        throw new Error('the leave request queue is damaged');
+    }
+}
+
+// Rejects shift/absence codes outside CODE_PATTERN and gives employees and requests whose
+// ids weren't made by this app new ones, re-keying everything that refers to them
+function sanitizeProjectIds(state) {
+    [...state.shifts, ...(state.absenceTypes || [])].forEach(entry => {
+        if (typeof entry.code !== 'string' || !CODE_PATTERN.test(entry.code)) {
+            throw new Error(`the code ${JSON.stringify(entry.code)} is not allowed (letters, digits, "-" and "_" only)`);
+        }
+    });
+
+    const renamed = {};
+    state.groups.forEach(group => group.employees.forEach(emp => {
+        if (emp.id === undefined || EMPLOYEE_ID_PATTERN.test(emp.id)) return;
+        const id = generateEmployeeId();
+        renamed[emp.id] = id;
+        emp.id = id;
+    }));
+    const rekey = (map) => {
+        if (!isPlainObject(map)) return map;
+        const result = {};
+        Object.keys(map).forEach(key => {
+            if (key in renamed) {
+                result[renamed[key]] = map[key];
+            } else if (EMPLOYEE_ID_PATTERN.test(key)) {
+                result[key] = map[key];
+            }
+        });
+        return result;
+    };
+    state.schedule = rekey(state.schedule);
+    if (isPlainObject(state.schedulePeriod)) state.schedulePeriod.rotationOffsets = rekey(state.schedulePeriod.rotationOffsets);
+    if (isPlainObject(state.periodHistory)) {
+        ['rows', 'counts', 'rotationPositions'].forEach(key => {
+            state.periodHistory[key] = rekey(state.periodHistory[key]);
+        });
+    }
+    (state.leaveRequests || []).forEach(request => {
+        if (request.empId in renamed) request.empId = renamed[request.empId];
+        if (request.swapEmpId in renamed) request.swapEmpId = renamed[request.swapEmpId];
+        if (typeof request.id !== 'string' || !REQUEST_ID_PATTERN.test(request.id)) request.id = generateLeaveRequestId();
+    });
+}
+
+function saveProject() {
+    const doc = buildProjectDocument();
+    const name = safeFileName(AppState.departmentName || 'project');
+    downloadBlob(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), `${name}.staffproject.json`);
+    if (typeof umami !== 'undefined') umami.track('project-saved');
+}
+
+function openProject() {
+    if (archiveView) closeArchiveView();
+    const input = document.getElementById('openProjectFile');
+    input.value = '';
+    input.click();
+}
+
+function handleProjectFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        let state;
+        try {
+            state = readProjectDocument(JSON.parse(reader.result));
+        } catch (e) {
+            alert(`Could not open ${file.name}: ${e.message}`);
+            return;
+        }
+        if (!confirm(`Replace the current setup and schedule with "${state.departmentName || file.name}"?`)) return;
+
+        if (swapMode) exitSwapMode();
+        cancelOptimizer();
+        applyProjectState(state);
+
+        saveToStorage();
+        renderUI();
+        if (!AppState.schedule) renderEmptySchedule();
+        if (typeof umami !== 'undefined') umami.track('project-opened');
+    };
+    reader.readAsText(file);
 }
 
 function initializeDefaultShifts() {
@@ -409,65 +688,141 @@ function bindEvents() {
             document.getElementById('monthlyConfig').classList.toggle('hidden', e.target.value !== 'monthly');
             document.getElementById('dateRangeConfig').classList.toggle('hidden', e.target.value !== 'daterange');
             saveToStorage();
+            handlePeriodChange();
         });
     });
 
     // Form inputs
+    // Saved as you type, but the whole edit is one undo step once the field is left
     document.getElementById('departmentName').addEventListener('input', (e) => {
         AppState.departmentName = e.target.value;
-        saveToStorage();
+        saveToStorage({ recordHistory: false });
     });
+    document.getElementById('departmentName').addEventListener('change', () => saveToStorage());
 
     document.getElementById('monthSelect').addEventListener('change', (e) => {
         AppState.month = parseInt(e.target.value);
         saveToStorage();
+        handlePeriodChange();
     });
 
     document.getElementById('yearInput').addEventListener('change', (e) => {
         AppState.year = parseInt(e.target.value);
         saveToStorage();
+        handlePeriodChange();
     });
 
     document.getElementById('startDate').addEventListener('change', (e) => {
         AppState.startDate = e.target.value;
         saveToStorage();
+        handlePeriodChange();
     });
 
     document.getElementById('durationSelect').addEventListener('change', (e) => {
         AppState.duration = parseInt(e.target.value);
         saveToStorage();
+        handlePeriodChange();
     });
 
-    document.getElementById('coveragePreset').addEventListener('change', (e) => {
-        AppState.coveragePreset = e.target.value;
-        renderCoverageGrid();
-        saveToStorage();
-    });
+    document.getElementById('coveragePreset').addEventListener('change', (e) => setCoveragePreset(e.target.value));
 
     // Constraints
     ['minRestHours', 'maxHoursWeek', 'maxConsecutiveDays', 'targetShiftsPerPerson'].forEach(id => {
         document.getElementById(id).addEventListener('change', (e) => {
             AppState.constraints[id] = parseInt(e.target.value);
             saveToStorage();
+            revalidateSchedule();
         });
     });
 
+    document.getElementById('weeklyHoursMode').addEventListener('change', (e) => {
+        AppState.constraints.weeklyHoursMode = e.target.value;
+        saveToStorage();
+        revalidateSchedule();
+    });
+
+    document.getElementById('weekendRule').addEventListener('change', (e) => {
+        AppState.constraints.weekendRule = e.target.value;
+        saveToStorage();
+        revalidateSchedule();
+    });
+
+    // Scheduler mode
+    document.getElementById('schedulerMode').addEventListener('change', (e) => {
+        AppState.schedulerMode = e.target.value;
+        document.getElementById('optimizeSecondsGroup').classList.toggle('hidden', e.target.value !== 'optimize');
+        saveToStorage();
+    });
+
+    document.getElementById('optimizeSeconds').addEventListener('change', (e) => {
+        AppState.optimizeSeconds = parseInt(e.target.value) || OPTIMIZER_DEFAULT_SECONDS;
+        saveToStorage();
+    });
+
     // Buttons
     document.getElementById('addShiftBtn').addEventListener('click', () => addShift());
+    document.getElementById('addAbsenceTypeBtn').addEventListener('click', () => addAbsenceType());
+    document.getElementById('addCoverageOverrideBtn').addEventListener('click', () => addCoverageOverride());
+
+    // Holidays
+    document.getElementById('holidayRegion').addEventListener('change', (e) => {
+        AppState.holidayRegion = e.target.value;
+        renderPeriodHolidays();
+        saveToStorage();
+        revalidateSchedule();
+    });
+
+    document.getElementById('holidayCoverage').addEventListener('change', (e) => {
+        AppState.holidayCoverage = e.target.value;
+        saveToStorage();
+        revalidateSchedule();
+    });
+
+    document.getElementById('addHolidayBtn').addEventListener('click', () => addCustomHoliday());
     document.getElementById('addGroupBtn').addEventListener('click', () => addGroup());
     document.getElementById('addUnavailabilityBtn').addEventListener('click', () => addUnavailabilityEntry());
+    document.getElementById('addRecurringBtn').addEventListener('click', () => addRecurringEntry());
     document.getElementById('generateBtn').addEventListener('click', () => generateSchedule());
     document.getElementById('regenerateBtn').addEventListener('click', () => regenerateSchedule());
     document.getElementById('loadExampleBtn').addEventListener('click', () => loadIndustryExample());
     document.getElementById('clearAllBtn').addEventListener('click', () => clearAll());
+    document.getElementById('saveProjectBtn').addEventListener('click', () => saveProject());
+    document.getElementById('openProjectBtn').addEventListener('click', () => openProject());
+    document.getElementById('openProjectFile').addEventListener('change', (e) => handleProjectFile(e.target.files[0]));
     document.getElementById('exportCsvBtn').addEventListener('click', () => exportCSV());
+    document.getElementById('exportIcsBtn').addEventListener('click', () => exportICS('department'));
+    document.getElementById('exportIcsZipBtn').addEventListener('click', () => exportICS('employee'));
+    document.getElementById('exportJsonBtn').addEventListener('click', () => exportJSON());
+    document.getElementById('importRosterBtn').addEventListener('click', () => openRosterImport());
+    document.getElementById('importRosterFile').addEventListener('change', (e) => handleRosterImportFile(e.target.files[0]));
     document.getElementById('printBtn').addEventListener('click', () => printSchedule());
+    document.getElementById('importPeriodHistoryBtn').addEventListener('click', () => openPeriodHistoryImport());
+    document.getElementById('importPeriodHistoryFile').addEventListener('change', (e) => handlePeriodHistoryFile(e.target.files[0]));
+    document.getElementById('clearPeriodHistoryBtn').addEventListener('click', () => clearPeriodHistory());
+
+    // Period navigation and the schedule archive
+    document.getElementById('prevPeriodBtn').addEventListener('click', () => shiftPeriod(-1));
+    document.getElementById('nextPeriodBtn').addEventListener('click', () => shiftPeriod(1));
+    document.getElementById('publishBtn').addEventListener('click', () => publishSchedule());
+    document.getElementById('archiveVersionSelect').addEventListener('change', () => updateArchiveButtons());
+    document.getElementById('viewArchiveBtn').addEventListener('click', () => viewArchivedVersion(getSelectedArchiveId()));
+    document.getElementById('draftArchiveBtn').addEventListener('click', () => openArchivedAsDraft(getSelectedArchiveId()));
+    document.getElementById('compareArchiveBtn').addEventListener('click', () => compareWithArchivedVersion(getSelectedArchiveId()));
 
     // Staff Preset buttons
     document.getElementById('savePresetBtn').addEventListener('click', () => saveStaffPreset());
     document.getElementById('loadPresetBtn').addEventListener('click', () => loadStaffPreset());
     document.getElementById('deletePresetBtn').addEventListener('click', () => deleteStaffPreset());
 
+    // Staff import from HR spreadsheets
+    document.getElementById('importStaffBtn').addEventListener('click', () => openStaffImport());
+    document.getElementById('staffImportUploadBtn').addEventListener('click', () => chooseStaffImportFile());
+    document.getElementById('staffImportFile').addEventListener('change', (e) => handleStaffImportFile(e.target.files[0]));
+    document.getElementById('staffImportNextBtn').addEventListener('click', () => readStaffImportText());
+    document.getElementById('staffImportBackBtn').addEventListener('click', () => showStaffImportStep('source'));
+    document.getElementById('staffImportTarget').addEventListener('change', () => renderStaffImportPreview());
+    document.getElementById('staffImportMode').addEventListener('change', () => renderStaffImportPreview());
+
     document.getElementById('compactMode').addEventListener('change', (e) => {
         document.querySelector('.schedule-output').classList.toggle('compact-mode', e.target.checked);
     });
@@ -509,6 +864,13 @@ function bindEvents() {
         cleanupDrag();
     });
 
+    document.getElementById('analyticsBtn').addEventListener('click', () => toggleAnalytics());
+
+    // Leave & swap request queue
+    document.getElementById('leaveQueueBtn').addEventListener('click', () => toggleLeaveQueue());
+    document.getElementById('leaveRequestKind').addEventListener('change', () => renderLeaveQueue());
+    document.getElementById('submitLeaveRequestBtn').addEventListener('click', () => submitLeaveRequest());
+
     // Swap mode button
     document.getElementById('swapBtn').addEventListener('click', () => {
         if (swapMode) {
@@ -518,40 +880,72 @@ function bindEvents() {
         }
     });
 
+    // Undo / redo buttons
+    document.getElementById('undoBtn').addEventListener('click', () => undo());
+    document.getElementById('redoBtn').addEventListener('click', () => redo());
+    window.addEventListener('pagehide', () => flushHistorySave());
+
     // ESC key to exit swap mode
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && swapMode) {
             exitSwapMode();
         }
     });
+
+    // P pins or unpins the cell open in the cell modal
+    document.addEventListener('keydown', (e) => {
+        if (e.key.toLowerCase() !== 'p' || e.ctrlKey || e.metaKey || e.altKey || !currentEditCell) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        e.preventDefault();
+        togglePinCell();
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep their native undo.
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        e.preventDefault();
+        if (e.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+    });
 }
 
 function renderUI() {
     // Populate form values from state
     document.getElementById('industrySelect').value = AppState.industry;
     document.getElementById('departmentName').value = AppState.departmentName;
-    document.getElementById('monthSelect').value = AppState.month;
-    document.getElementById('yearInput').value = AppState.year;
-    document.getElementById('durationSelect').value = AppState.duration;
     document.getElementById('coveragePreset').value = AppState.coveragePreset;
-
-    document.querySelector(`input[name="calendarStyle"][value="${AppState.calendarStyle}"]`).checked = true;
-    document.getElementById('monthlyConfig').classList.toggle('hidden', AppState.calendarStyle !== 'monthly');
-    document.getElementById('dateRangeConfig').classList.toggle('hidden', AppState.calendarStyle !== 'daterange');
+    renderPeriodFields();
 
     renderConstraints();
     renderRotationPatterns();
     renderShiftsList();
+    renderAbsenceTypesList();
     renderGroupsList();
     renderCoverageGrid();
     renderUnavailabilitySection();
+    renderLeaveQueue();
     renderStaffPresetsDropdown();
     updateExampleButton();
 
-    // If we have a saved schedule, render it
-    if (AppState.schedule) {
-        renderSchedule();
-    }
+    updateHistoryButtons();
+
+    // Previous-period history, archive navigation and the draft (if it's for this period)
+    handlePeriodChange();
+}
+
+function renderPeriodFields() {
+    document.getElementById('monthSelect').value = AppState.month;
+    document.getElementById('yearInput').value = AppState.year;
+    document.getElementById('durationSelect').value = AppState.duration;
+    if (AppState.startDate) document.getElementById('startDate').value = AppState.startDate;
+
+    document.querySelector(`input[name="calendarStyle"][value="${AppState.calendarStyle}"]`).checked = true;
+    document.getElementById('monthlyConfig').classList.toggle('hidden', AppState.calendarStyle !== 'monthly');
+    document.getElementById('dateRangeConfig').classList.toggle('hidden', AppState.calendarStyle !== 'daterange');
 }
 
 function renderConstraints() {
@@ -559,6 +953,11 @@ function renderConstraints() {
     document.getElementById('maxHoursWeek').value = AppState.constraints.maxHoursWeek;
     document.getElementById('maxConsecutiveDays').value = AppState.constraints.maxConsecutiveDays;
     document.getElementById('targetShiftsPerPerson').value = AppState.constraints.targetShiftsPerPerson;
+    document.getElementById('weeklyHoursMode').value = AppState.constraints.weeklyHoursMode || 'rolling';
+    document.getElementById('weekendRule').value = AppState.constraints.weekendRule || 'none';
+    document.getElementById('schedulerMode').value = AppState.schedulerMode || 'greedy';
+    document.getElementById('optimizeSeconds').value = AppState.optimizeSeconds || OPTIMIZER_DEFAULT_SECONDS;
+    document.getElementById('optimizeSecondsGroup').classList.toggle('hidden', AppState.schedulerMode !== 'optimize');
 }
 
 // ============================================
@@ -655,6 +1054,7 @@ function renderShiftsList() {
             <div class="shift-info">
                 <div>${esc(shift.desc || shift.code)}</div>
                 <div class="shift-times">${shift.start && shift.end ? `${esc(shift.start)} - ${esc(shift.end)}` : 'No fixed time'}</div>
+                ${renderShiftSkillSummary(shift)}
             </div>
             <div class="shift-actions">
                 <button class="btn btn-sm btn-outline" onclick="editShift(${index})">Edit</button>
@@ -665,6 +1065,15 @@ function renderShiftsList() {
     });
 }
 
+function renderShiftSkillSummary(shift) {
+    const parts = [];
+    if ((shift.requiredSkills || []).length > 0) {
+        parts.push(`Requires ${shift.requiredSkills.join(', ')}`);
+    }
+    (shift.skillMinimums || []).forEach(rule => parts.push(`≥${rule.count} ${rule.skill}`));
+    return parts.length > 0 ? `<div class="shift-skills">${esc(parts.join(' · '))}</div>` : '';
+}
+
 function addShift() {
     AppState.shifts.push({
         code: String.fromCharCode(65 + AppState.shifts.length),
@@ -688,6 +1097,10 @@ function editShift(index) {
     document.getElementById('modalShiftDesc').value = shift.desc || '';
     document.getElementById('modalShiftType').value = shift.type;
     document.getElementById('modalShiftColor').value = shift.color;
+    document.getElementById('modalShiftRequiredSkills').value = (shift.requiredSkills || []).join(', ');
+    currentShiftSkillMinimums = (shift.skillMinimums || []).map(rule => ({ ...rule }));
+    renderShiftSkillMinimums();
+    renderKnownSkillsHint('shiftKnownSkills');
 
     document.getElementById('shiftModal').classList.remove('hidden');
     document.getElementById('shiftModal').dataset.editIndex = index;
@@ -697,20 +1110,81 @@ function closeShiftModal() {
     document.getElementById('shiftModal').classList.add('hidden');
 }
 
+// Skill minimums being edited in the shift modal (applied on save)
+let currentShiftSkillMinimums = [];
+
+function renderShiftSkillMinimums() {
+    const container = document.getElementById('skillMinimumsList');
+    container.innerHTML = '';
+
+    currentShiftSkillMinimums.forEach((rule, index) => {
+        const item = document.createElement('div');
+        item.className = 'unavail-item';
+        item.innerHTML = `
+            <span>At least</span>
+            <input type="number" min="1" max="10" value="${rule.count}" onchange="updateSkillMinimumCount(${index}, this.value)">
+            <input type="text" value="${esc(rule.skill)}" placeholder="Skill, e.g. Charge" onchange="updateSkillMinimumSkill(${index}, this.value)">
+            <button class="btn btn-sm btn-outline" onclick="removeSkillMinimum(${index})">×</button>
+        `;
+        container.appendChild(item);
+    });
+}
+
+function addSkillMinimum() {
+    currentShiftSkillMinimums.push({ skill: '', count: 1 });
+    renderShiftSkillMinimums();
+}
+
+function updateSkillMinimumCount(index, value) {
+    currentShiftSkillMinimums[index].count = Math.max(1, parseInt(value) || 1);
+}
+
+function updateSkillMinimumSkill(index, value) {
+    currentShiftSkillMinimums[index].skill = value.trim();
+}
+
+function removeSkillMinimum(index) {
+    currentShiftSkillMinimums.splice(index, 1);
+    renderShiftSkillMinimums();
+}
+
+function renderKnownSkillsHint(elementId) {
+    const skills = getKnownSkills();
+    document.getElementById(elementId).textContent = skills.length > 0 ? `Known skills: ${skills.join(', ')}` : '';
+}
+
 function saveShiftModal() {
     const index = parseInt(document.getElementById('shiftModal').dataset.editIndex);
+    const oldCode = AppState.shifts[index].code;
+    const code = document.getElementById('modalShiftCode').value.toUpperCase();
+    if (!CODE_PATTERN.test(code)) {
+        alert('Shift codes can only use letters, digits, "-" and "_".');
+        return;
+    }
+    if (getAbsenceType(code)) {
+        alert(`The code "${code}" is already used by an absence type.`);
+        return;
+    }
     AppState.shifts[index] = {
-        code: document.getElementById('modalShiftCode').value.toUpperCase(),
+        ...AppState.shifts[index],
+        code,
         start: document.getElementById('modalShiftStart').value,
         end: document.getElementById('modalShiftEnd').value,
         desc: document.getElementById('modalShiftDesc').value,
         type: document.getElementById('modalShiftType').value,
-        color: document.getElementById('modalShiftColor').value
+        color: document.getElementById('modalShiftColor').value,
+        requiredSkills: parseSkillList(document.getElementById('modalShiftRequiredSkills').value),
+        skillMinimums: currentShiftSkillMinimums.filter(rule => rule.skill)
     };
+    // Keep date overrides attached to a renamed shift
+    (AppState.coverageOverrides || []).forEach(o => {
+        if (o.shiftCode === oldCode) o.shiftCode = AppState.shifts[index].code;
+    });
     closeShiftModal();
     renderShiftsList();
     renderCoverageGrid();
     saveToStorage();
+    revalidateSchedule();
 }
 
 function deleteShift(index) {
@@ -719,9 +1193,177 @@ function deleteShift(index) {
         renderShiftsList();
         renderCoverageGrid();
         saveToStorage();
+        revalidateSchedule();
+    }
+}
+
+// ============================================
+// ABSENCE TYPES
+// ============================================
+// Codes for days an employee is away rather than on shift (AppState.absenceTypes):
+//   { code, label, desc, color, countsAsHours, hours, breaksStreak }
+// label is what the roster cell shows (defaults to the code). countsAsHours credits
+// `hours` to the day for totals and weekly hour limits; breaksStreak ends a run of
+// consecutive working days (otherwise the day continues it, like a shift would).
+// Unavailability entries and roster cells store the code.
+
+function getAbsenceType(code) {
+    return code ? AppState.absenceTypes.find(type => type.code === code) || null : null;
+}
+
+// Hours an absence adds to the day (0 unless it counts as worked)
+function getAbsenceHours(code) {
+    const absence = getAbsenceType(code);
+    return absence && absence.countsAsHours ? absence.hours || 0 : 0;
+}
+
+// Type for new unavailability entries: the first in the list
+function getDefaultAbsenceCode() {
+    return AppState.absenceTypes.length > 0 ? AppState.absenceTypes[0].code : 'LEAVE';
+}
+
+// Whether a roster cell keeps a run of consecutive working days going: any shift, or an
+// absence set not to break the streak. Codes of deleted types count as days off.
+function continuesStreak(code) {
+    if (!code) return false;
+    if (AppState.shifts.some(shift => shift.code === code)) return true;
+    const absence = getAbsenceType(code);
+    return !!absence && absence.breaksStreak === false;
+}
+
+function renderAbsenceTypesList() {
+    const container = document.getElementById('absenceTypesList');
+    container.innerHTML = '';
+
+    AppState.absenceTypes.forEach((type, index) => {
+        const flags = [];
+        if (type.countsAsHours) flags.push(`Counts ${type.hours || 0}h`);
+        flags.push(type.breaksStreak ? 'Breaks streak' : 'Continues streak');
+
+        const item = document.createElement('div');
+        item.className = 'shift-item';
+        item.innerHTML = `
+            <div class="shift-code" style="background: ${esc(type.color)}">${esc(type.label || type.code)}</div>
+            <div class="shift-info">
+                <div>${esc(type.desc || type.code)} <span class="shift-times">${esc(type.code)}</span></div>
+                <div class="shift-times">${esc(flags.join(' · '))}</div>
+            </div>
+            <div class="shift-actions">
+                <button class="btn btn-sm btn-outline" onclick="editAbsenceType(${index})">Edit</button>
+                <button class="btn btn-sm btn-outline" onclick="deleteAbsenceType(${index})">×</button>
+            </div>
+        `;
+        container.appendChild(item);
+    });
+}
+
+function addAbsenceType() {
+    let n = AppState.absenceTypes.length + 1;
+    while (getAbsenceType(`ABS${n}`)) n++;
+    AppState.absenceTypes.push({
+        code: `ABS${n}`,
+        label: '',
+        desc: '',
+        color: '#64748b',
+        countsAsHours: false,
+        hours: 0,
+        breaksStreak: true
+    });
+    renderAbsenceTypesList();
+    editAbsenceType(AppState.absenceTypes.length - 1);
+    saveToStorage();
+}
+
+function editAbsenceType(index) {
+    const type = AppState.absenceTypes[index];
+    document.getElementById('modalAbsenceCode').value = type.code;
+    document.getElementById('modalAbsenceLabel').value = type.label || '';
+    document.getElementById('modalAbsenceDesc').value = type.desc || '';
+    document.getElementById('modalAbsenceColor').value = type.color;
+    document.getElementById('modalAbsenceCountsHours').checked = !!type.countsAsHours;
+    document.getElementById('modalAbsenceHours').value = type.hours || '';
+    document.getElementById('modalAbsenceBreaksStreak').checked = !!type.breaksStreak;
+
+    document.getElementById('absenceTypeModal').classList.remove('hidden');
+    document.getElementById('absenceTypeModal').dataset.editIndex = index;
+}
+
+function closeAbsenceTypeModal() {
+    document.getElementById('absenceTypeModal').classList.add('hidden');
+}
+
+function saveAbsenceTypeModal() {
+    const index = parseInt(document.getElementById('absenceTypeModal').dataset.editIndex);
+    const oldCode = AppState.absenceTypes[index].code;
+    const code = document.getElementById('modalAbsenceCode').value.trim().toUpperCase();
+    if (!code) {
+        alert('Please enter a code for the absence type.');
+        return;
+    }
+    if (!CODE_PATTERN.test(code)) {
+        alert('Absence codes can only use letters, digits, "-" and "_".');
+        return;
+    }
+    // Roster cells hold a single code, so it can't also be a shift or another absence
+    if (AppState.shifts.some(s => s.code === code) || AppState.absenceTypes.some((t, i) => i !== index && t.code === code)) {
+        alert(`The code "${code}" is already in use.`);
+        return;
+    }
+
+    AppState.absenceTypes[index] = {
+        code,
+        label: document.getElementById('modalAbsenceLabel').value.trim(),
+        desc: document.getElementById('modalAbsenceDesc').value.trim(),
+        color: document.getElementById('modalAbsenceColor').value,
+        countsAsHours: document.getElementById('modalAbsenceCountsHours').checked,
+        hours: Math.max(0, parseFloat(document.getElementById('modalAbsenceHours').value) || 0),
+        breaksStreak: document.getElementById('modalAbsenceBreaksStreak').checked
+    };
+
+    // Keep unavailability entries and roster cells attached to a renamed type
+    if (code !== oldCode) {
+        AppState.groups.forEach(group => group.employees.forEach(emp => {
+            (emp.unavailability || []).forEach(unavail => {
+                if (unavail.type === oldCode) unavail.type = code;
+            });
+            const row = AppState.schedule && AppState.schedule[emp.id];
+            if (row) row.forEach((cell, d) => { if (cell === oldCode) row[d] = code; });
+        }));
+    }
+    closeAbsenceTypeModal();
+    renderAbsenceTypesList();
+    renderUnavailabilitySection();
+    saveToStorage();
+    if (AppState.schedule) renderSchedule();
+}
+
+function deleteAbsenceType(index) {
+    const type = AppState.absenceTypes[index];
+    const inUse = AppState.groups.some(group => group.employees.some(emp =>
+        (emp.unavailability || []).some(unavail => unavail.type === type.code)));
+    const message = inUse
+        ? `Delete the absence type ${type.code}? Unavailability entries still use it; they will show the bare code and count as days off.`
+        : 'Delete this absence type?';
+    if (confirm(message)) {
+        AppState.absenceTypes.splice(index, 1);
+        renderAbsenceTypesList();
+        renderUnavailabilitySection();
+        saveToStorage();
+        revalidateSchedule();
     }
 }
 
+// <option>s for an absence select; a code whose type was deleted stays selectable
+function renderAbsenceOptions(selectedCode) {
+    const codes = AppState.absenceTypes.map(type => type.code);
+    if (selectedCode && !codes.includes(selectedCode)) codes.push(selectedCode);
+    return codes.map(code => {
+        const type = getAbsenceType(code);
+        const text = type && type.desc ? `${code} (${type.desc})` : code;
+        return `<option value="${esc(code)}" ${code === selectedCode ? 'selected' : ''}>${esc(text)}</option>`;
+    }).join('');
+}
+
 // ============================================
 // GROUPS & EMPLOYEES MANAGEMENT
 // ============================================
@@ -735,15 +1377,19 @@ function renderGroupsList() {
         groupEl.className = 'group-item';
 
         let employeesHtml = '';
-        group.employees.forEach((emp, eIndex) => {
-            const hasUnavail = emp.unavailability && emp.unavailability.length > 0;
+        group.employees.forEach(emp => {
+            const hasUnavail = (emp.unavailability || []).length > 0 || (emp.recurringUnavailability || []).length > 0;
+            const empId = esc(emp.id);
+            const contract = describeContract(emp);
             employeesHtml += `
                 <div class="employee-item">
                     <input type="text" value="${esc(emp.name)}"
-                        onchange="updateEmployeeName(${gIndex}, ${eIndex}, this.value)">
-                    ${hasUnavail ? `<span class="unavail-indicator" onclick="editEmployee(${gIndex}, ${eIndex})">📅</span>` : ''}
-                    <button class="btn btn-sm btn-outline" onclick="editEmployee(${gIndex}, ${eIndex})">⚙</button>
-                    <button class="btn btn-sm btn-outline" onclick="deleteEmployee(${gIndex}, ${eIndex})">×</button>
+                        onchange="updateEmployeeName('${empId}', this.value)">
+                    ${(emp.skills || []).length > 0 ? `<span class="skill-tags" title="${esc(emp.skills.join(', '))}">${esc(emp.skills.join(', '))}</span>` : ''}
+                    ${contract ? `<span class="skill-tags" title="Contract: ${esc(contract)}">${esc(contract)}</span>` : ''}
+                    ${hasUnavail ? `<span class="unavail-indicator" onclick="editEmployee('${empId}')">📅</span>` : ''}
+                    <button class="btn btn-sm btn-outline" onclick="editEmployee('${empId}')">⚙</button>
+                    <button class="btn btn-sm btn-outline" onclick="deleteEmployee('${empId}')">×</button>
                 </div>
             `;
         });
@@ -779,24 +1425,41 @@ function updateGroupName(gIndex, name) {
 
 function deleteGroup(gIndex) {
     if (confirm('Delete this group and all its employees?')) {
-        AppState.groups.splice(gIndex, 1);
+        cancelOptimizer();
+        const [removed] = AppState.groups.splice(gIndex, 1);
+        removed.employees.forEach(emp => removeEmployeeSchedule(emp.id));
         renderGroupsList();
+        renderUnavailabilitySection();
         saveToStorage();
+        if (AppState.schedule) renderSchedule();
     }
 }
 
-const MAX_EMPLOYEES = 20;
-
 function getTotalEmployeeCount() {
     return AppState.groups.reduce((sum, g) => sum + g.employees.length, 0);
 }
 
-function addEmployee(gIndex) {
-    if (getTotalEmployeeCount() >= MAX_EMPLOYEES) {
-        alert(`Employee limit reached (${MAX_EMPLOYEES}). A future update will allow more employees.`);
-        return;
+// Persistent employee id; schedules and unavailability follow the person, not their position
+function generateEmployeeId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return `emp-${window.crypto.randomUUID()}`;
     }
+    return `emp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Give ids to employees that don't have one (presets, examples, imports)
+function ensureEmployeeIds(groups) {
+    groups.forEach(group => {
+        group.employees.forEach(emp => {
+            if (!emp.id) emp.id = generateEmployeeId();
+        });
+    });
+}
+
+function addEmployee(gIndex) {
+    cancelOptimizer();
     AppState.groups[gIndex].employees.push({
+        id: generateEmployeeId(),
         name: `Employee ${AppState.groups[gIndex].employees.length + 1}`,
         unavailability: []
     });
@@ -804,48 +1467,331 @@ function addEmployee(gIndex) {
     saveToStorage();
 }
 
-function updateEmployeeName(gIndex, eIndex, name) {
-    AppState.groups[gIndex].employees[eIndex].name = name;
+function updateEmployeeName(empId, name) {
+    findEmployee(empId).name = name;
     saveToStorage();
 }
 
-function deleteEmployee(gIndex, eIndex) {
-    AppState.groups[gIndex].employees.splice(eIndex, 1);
+function deleteEmployee(empId) {
+    const location = findEmployeeLocation(empId);
+    if (!location) return;
+    cancelOptimizer();
+    AppState.groups[location.gIndex].employees.splice(location.eIndex, 1);
+    removeEmployeeSchedule(empId);
     renderGroupsList();
     renderUnavailabilitySection();
     saveToStorage();
+    if (AppState.schedule) renderSchedule();
+}
+
+// Move an employee to another group; their schedule row is keyed by id so it comes along
+function moveEmployeeToGroup(empId, targetGIndex) {
+    const location = findEmployeeLocation(empId);
+    if (!location || location.gIndex === targetGIndex) return;
+    const [emp] = AppState.groups[location.gIndex].employees.splice(location.eIndex, 1);
+    AppState.groups[targetGIndex].employees.push(emp);
+}
+
+function removeEmployeeSchedule(empId) {
+    if (AppState.schedule) delete AppState.schedule[empId];
+    if (AppState.shiftCounts) delete AppState.shiftCounts[empId];
 }
 
 // ============================================
-// STAFF PRESETS (Save/Load Staff Groups)
+// SKILLS & QUALIFICATIONS
 // ============================================
 
-function getStaffPresets() {
-    const saved = localStorage.getItem('staffSchedulerPresets');
-    return saved ? JSON.parse(saved) : {};
+// Skills are free-text labels compared case-insensitively
+function normalizeSkill(skill) {
+    return String(skill).trim().toLowerCase();
 }
 
-function saveStaffPresetsToStorage(presets) {
-    localStorage.setItem('staffSchedulerPresets', JSON.stringify(presets));
+// Parse "RN, Charge, Triage" into a de-duplicated list
+function parseSkillList(text) {
+    const skills = [];
+    String(text || '').split(',').forEach(part => {
+        const skill = part.trim();
+        if (skill && !skills.some(s => normalizeSkill(s) === normalizeSkill(skill))) {
+            skills.push(skill);
+        }
+    });
+    return skills;
 }
 
-function renderStaffPresetsDropdown() {
-    const select = document.getElementById('staffPresetSelect');
-    const presets = getStaffPresets();
-    const presetNames = Object.keys(presets).sort();
+function employeeHasSkill(emp, skill) {
+    return (emp.skills || []).some(s => normalizeSkill(s) === normalizeSkill(skill));
+}
 
-    select.innerHTML = '<option value="">-- Select saved staff --</option>';
-    presetNames.forEach(name => {
-        const opt = document.createElement('option');
-        opt.value = name;
-        opt.textContent = name;
-        select.appendChild(opt);
+// Every assignee of a shift must hold all of its required skills
+function isQualifiedForShift(emp, shift) {
+    return (shift.requiredSkills || []).every(skill => employeeHasSkill(emp, skill));
+}
+
+// All skills in use across staff and shift rules (for hints in the modals)
+function getKnownSkills() {
+    const skills = [];
+    const add = (skill) => {
+        if (!skills.some(s => normalizeSkill(s) === normalizeSkill(skill))) skills.push(skill);
+    };
+    AppState.groups.forEach(g => g.employees.forEach(emp => (emp.skills || []).forEach(add)));
+    AppState.shifts.forEach(shift => {
+        (shift.requiredSkills || []).forEach(add);
+        (shift.skillMinimums || []).forEach(rule => add(rule.skill));
     });
+    return skills.sort((a, b) => a.localeCompare(b));
 }
 
-function saveStaffPreset() {
-    const nameInput = document.getElementById('presetNameInput');
-    let name = nameInput.value.trim();
+// counts[dayIndex] = people on shiftCode that day who hold a skill
+function countSkilledByDay(schedule, shiftCode, skill, numDays) {
+    const counts = new Array(numDays).fill(0);
+    Object.keys(schedule).forEach(empId => {
+        const emp = findEmployee(empId);
+        if (!emp || !employeeHasSkill(emp, skill)) return;
+        for (let d = 0; d < numDays; d++) {
+            if (schedule[empId][d] === shiftCode) counts[d]++;
+        }
+    });
+    return counts;
+}
+
+// ============================================
+// EMPLOYEE CONTRACTS
+// ============================================
+// Each employee's contract sets how much they should work and what they may work:
+//   emp.fte (share of targetShiftsPerPerson) or emp.targetHours (per period)
+//   emp.minShifts / emp.maxShifts per period (0 or missing = no limit)
+//   emp.allowedShifts = [code] (empty = any working shift)
+//   emp.employmentType = 'staff' | 'per_diem' | 'agency'
+// Per diem and agency workers have no target beyond their minimum, so they are only
+// picked once contracted staff have reached theirs.
+
+const EMPLOYMENT_TYPES = {
+    staff: 'Staff',
+    per_diem: 'Per diem',
+    agency: 'Agency'
+};
+
+function isFlexibleWorker(emp) {
+    return emp.employmentType === 'per_diem' || emp.employmentType === 'agency';
+}
+
+// Mean length of the timed working shifts, for turning target hours into shifts
+function getAverageShiftHours() {
+    const hours = AppState.shifts.filter(s => s.type === 'working').map(s => getShiftHours(s.code)).filter(h => h > 0);
+    return hours.length > 0 ? hours.reduce((sum, h) => sum + h, 0) / hours.length : 8;
+}
+
+// Shifts an employee is expected to work this period, within their min/max
+function getTargetShifts(emp) {
+    let target;
+    if (isFlexibleWorker(emp)) {
+        target = 0;
+    } else if (emp.targetHours > 0) {
+        target = Math.round(emp.targetHours / getAverageShiftHours());
+    } else {
+        target = Math.round(AppState.constraints.targetShiftsPerPerson * (emp.fte || 1));
+    }
+    if (emp.minShifts > 0) target = Math.max(target, emp.minShifts);
+    if (emp.maxShifts > 0) target = Math.min(target, emp.maxShifts);
+    return target;
+}
+
+function isShiftAllowedByContract(emp, shiftCode) {
+    return !emp.allowedShifts || emp.allowedShifts.length === 0 || emp.allowedShifts.includes(shiftCode);
+}
+
+// Short summary for the staff list, e.g. "0.6 FTE" or "Per diem, max 4"
+function describeContract(emp) {
+    const parts = [];
+    if (isFlexibleWorker(emp)) parts.push(EMPLOYMENT_TYPES[emp.employmentType]);
+    if (emp.targetHours > 0) parts.push(`${emp.targetHours} h`);
+    else if (emp.fte && emp.fte !== 1) parts.push(`${emp.fte} FTE`);
+    if (emp.minShifts > 0) parts.push(`min ${emp.minShifts}`);
+    if (emp.maxShifts > 0) parts.push(`max ${emp.maxShifts}`);
+    if (emp.allowedShifts && emp.allowedShifts.length > 0) parts.push(`${emp.allowedShifts.join('/')} only`);
+    return parts.join(', ');
+}
+
+function renderContractShifts(emp) {
+    const allowed = emp.allowedShifts || [];
+    document.getElementById('modalAllowedShifts').innerHTML = AppState.shifts
+        .filter(s => s.type === 'working')
+        .map(s => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${esc(s.code)}" ${allowed.includes(s.code) ? 'checked' : ''}> ${esc(s.code)}
+            </label>
+        `).join('');
+}
+
+// Read the contract controls of the employee modal onto emp
+function readContractFields(emp) {
+    const number = (id) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return value > 0 ? value : null;
+    };
+    emp.employmentType = document.getElementById('modalEmploymentType').value;
+    emp.fte = number('modalEmployeeFte');
+    emp.targetHours = number('modalTargetHours');
+    emp.minShifts = number('modalMinShifts');
+    emp.maxShifts = number('modalMaxShifts');
+    if (emp.minShifts && emp.maxShifts && emp.minShifts > emp.maxShifts) emp.maxShifts = emp.minShifts;
+    emp.allowedShifts = [...document.querySelectorAll('#modalAllowedShifts input:checked')].map(input => input.value);
+}
+
+// ============================================
+// PREFERENCES & REQUESTS
+// ============================================
+// Soft wishes that steer the scheduler without blocking it (unlike absences):
+//   emp.preferences = { preferredShifts: [code], avoidedShifts: [code], daysOff: [weekday] }
+//   emp.requests = [{ type: 'OFF' | 'SHIFT', date: 'YYYY-MM-DD', shiftCode }]
+// Scores are added to the fairness score, so lower means "pick this person first".
+
+const PREFERENCE_WEIGHTS = {
+    requestShift: -100, // asked to work this shift on this date
+    requestOff: 100,    // asked for this date off
+    preferredShift: -1,
+    avoidedShift: 2,
+    preferredDayOff: 2
+};
+
+function getEmployeePreferences(emp) {
+    const prefs = emp.preferences || {};
+    return {
+        preferredShifts: prefs.preferredShifts || [],
+        avoidedShifts: prefs.avoidedShifts || [],
+        daysOff: prefs.daysOff || []
+    };
+}
+
+// How much emp would rather (negative) or rather not (positive) work shiftCode on dayIndex
+function getPreferenceScore(emp, shiftCode, dayIndex, dateStr = formatDateStr(getDateForDay(dayIndex))) {
+    const prefs = getEmployeePreferences(emp);
+    let score = 0;
+
+    if (prefs.preferredShifts.includes(shiftCode)) score += PREFERENCE_WEIGHTS.preferredShift;
+    if (prefs.avoidedShifts.includes(shiftCode)) score += PREFERENCE_WEIGHTS.avoidedShift;
+    if (prefs.daysOff.includes(getDateForDay(dayIndex).getDay())) score += PREFERENCE_WEIGHTS.preferredDayOff;
+
+    (emp.requests || []).forEach(request => {
+        if (request.date !== dateStr) return;
+        if (request.type === 'OFF') {
+            score += PREFERENCE_WEIGHTS.requestOff;
+        } else if (request.type === 'SHIFT' && request.shiftCode === shiftCode) {
+            score += PREFERENCE_WEIGHTS.requestShift;
+        }
+    });
+    return score;
+}
+
+// Per-employee tally of dated requests that fall in the period and whether the roster grants them
+function collectRequestOutcomes(schedule, numDays) {
+    const outcomes = [];
+    if (!schedule) return outcomes;
+    const shiftLookup = buildShiftLookup();
+
+    const dayByDate = {};
+    for (let d = 0; d < numDays; d++) {
+        dayByDate[formatDateStr(getDateForDay(d))] = d;
+    }
+
+    AppState.groups.forEach(group => {
+        group.employees.forEach(emp => {
+            const empSchedule = schedule[emp.id] || [];
+            const denied = [];
+            let total = 0;
+
+            (emp.requests || []).forEach(request => {
+                const d = dayByDate[request.date];
+                if (d === undefined) return;
+                total++;
+
+                const code = empSchedule[d] || null;
+                const granted = request.type === 'OFF' ? !shiftLookup[code] : code === request.shiftCode;
+                if (!granted) {
+                    denied.push(request.type === 'OFF' ? `Day ${d+1} off` : `Day ${d+1} ${request.shiftCode}`);
+                }
+            });
+
+            if (total > 0) {
+                outcomes.push({ empId: emp.id, name: emp.name, total, granted: total - denied.length, denied });
+            }
+        });
+    });
+    return outcomes;
+}
+
+// ============================================
+// FIXED SHIFTS & PINNED CELLS
+// ============================================
+// Cells that regeneration keeps as they are, like absences:
+//   emp.fixedShifts = [{ date: 'YYYY-MM-DD', shiftCode }]
+// shiftCode null pins the day off. Pre-assigned shifts from the employee modal and cells
+// pinned on the roster are the same thing, so a pinned cell follows the person and date.
+
+function getFixedShift(emp, dateStr) {
+    return (emp.fixedShifts || []).find(fixed => fixed.date === dateStr);
+}
+
+// Pinned days of the period as [dayIndex] = true
+function getPinnedDays(emp, dateStrs) {
+    return dateStrs.map(dateStr => !!getFixedShift(emp, dateStr));
+}
+
+function isCellPinned(empId, dayIndex) {
+    const emp = findEmployee(empId);
+    return !!emp && !!getFixedShift(emp, formatDateStr(getDateForDay(dayIndex)));
+}
+
+// Pin (or re-pin) dateStr to shiftCode; unpin with shiftCode undefined
+function setFixedShift(emp, dateStr, shiftCode) {
+    const fixedShifts = (emp.fixedShifts || []).filter(fixed => fixed.date !== dateStr);
+    if (shiftCode !== undefined) fixedShifts.push({ date: dateStr, shiftCode });
+    emp.fixedShifts = fixedShifts;
+}
+
+// Pin the cell open in the cell modal to whatever it holds now, or unpin it
+function togglePinCell() {
+    if (!currentEditCell) return;
+    const { empId, dayIndex } = currentEditCell;
+    const emp = findEmployee(empId);
+    const dateStr = formatDateStr(getDateForDay(dayIndex));
+    cancelOptimizer();
+    setFixedShift(emp, dateStr, getFixedShift(emp, dateStr) ? undefined : ensureScheduleRow(empId)[dayIndex] || null);
+    saveToStorage();
+    closeCellModal();
+    refreshScheduleRows([empId]);
+}
+
+// ============================================
+// STAFF PRESETS (Save/Load Staff Groups)
+// ============================================
+
+function getStaffPresets() {
+    const saved = localStorage.getItem('staffSchedulerPresets');
+    return saved ? JSON.parse(saved) : {};
+}
+
+function saveStaffPresetsToStorage(presets) {
+    localStorage.setItem('staffSchedulerPresets', JSON.stringify(presets));
+}
+
+function renderStaffPresetsDropdown() {
+    const select = document.getElementById('staffPresetSelect');
+    const presets = getStaffPresets();
+    const presetNames = Object.keys(presets).sort();
+
+    select.innerHTML = '<option value="">-- Select saved staff --</option>';
+    presetNames.forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        select.appendChild(opt);
+    });
+}
+
+function saveStaffPreset() {
+    const nameInput = document.getElementById('presetNameInput');
+    let name = nameInput.value.trim();
 
     if (!name) {
         // Auto-generate a name based on department or date
@@ -910,15 +1856,11 @@ function loadStaffPreset() {
         }
     }
 
-    // Check employee limit
-    const presetEmpCount = preset.groups.reduce((sum, g) => sum + g.employees.length, 0);
-    if (presetEmpCount > MAX_EMPLOYEES) {
-        alert(`This preset has ${presetEmpCount} employees, which exceeds the current limit of ${MAX_EMPLOYEES}.`);
-        return;
-    }
+    cancelOptimizer();
 
     // Load the preset data
     AppState.groups = JSON.parse(JSON.stringify(preset.groups));
+    ensureEmployeeIds(AppState.groups);
     if (preset.shifts) {
         AppState.shifts = JSON.parse(JSON.stringify(preset.shifts));
     }
@@ -945,9 +1887,15 @@ function loadStaffPreset() {
             <p>Click "Generate Schedule" to create a roster with the loaded staff.</p>
         </div>
     `;
+    document.getElementById('requestsPanel').classList.add('hidden');
+    document.getElementById('analyticsPanel').classList.add('hidden');
     document.getElementById('exportCsvBtn').disabled = true;
+    document.getElementById('exportIcsBtn').disabled = true;
+    document.getElementById('exportIcsZipBtn').disabled = true;
+    document.getElementById('exportJsonBtn').disabled = true;
     document.getElementById('printBtn').disabled = true;
     document.getElementById('swapBtn').disabled = true;
+    document.getElementById('analyticsBtn').disabled = true;
 }
 
 function deleteStaffPreset() {
@@ -972,12 +1920,29 @@ function deleteStaffPreset() {
 // Employee edit modal
 let currentEditEmployee = null;
 
-function editEmployee(gIndex, eIndex) {
-    currentEditEmployee = { gIndex, eIndex };
-    const emp = AppState.groups[gIndex].employees[eIndex];
+function editEmployee(empId) {
+    currentEditEmployee = empId;
+    const emp = findEmployee(empId);
 
     document.getElementById('modalEmployeeName').value = emp.name;
+    const groupSelect = document.getElementById('modalEmployeeGroup');
+    groupSelect.innerHTML = AppState.groups.map((group, gIndex) =>
+        `<option value="${gIndex}">${esc(group.name)}</option>`
+    ).join('');
+    groupSelect.value = findEmployeeLocation(empId).gIndex;
+    document.getElementById('modalEmployeeNumber').value = emp.employeeNumber || '';
+    document.getElementById('modalEmployeeFte').value = emp.fte || '';
+    document.getElementById('modalEmploymentType').value = emp.employmentType || 'staff';
+    document.getElementById('modalTargetHours').value = emp.targetHours || '';
+    document.getElementById('modalMinShifts').value = emp.minShifts || '';
+    document.getElementById('modalMaxShifts').value = emp.maxShifts || '';
+    renderContractShifts(emp);
+    document.getElementById('modalEmployeeSkills').value = (emp.skills || []).join(', ');
+    renderKnownSkillsHint('employeeKnownSkills');
     renderUnavailabilityList(emp.unavailability || []);
+    renderShiftPreferences(emp);
+    renderRequestsList(emp.requests || []);
+    renderFixedShiftsList(emp.fixedShifts || []);
 
     document.getElementById('employeeModal').classList.remove('hidden');
 }
@@ -996,8 +1961,7 @@ function renderUnavailabilityList(unavailList) {
         item.className = 'unavail-item';
         item.innerHTML = `
             <select onchange="updateUnavailType(${index}, this.value)">
-                <option value="LEAVE" ${unavail.type === 'LEAVE' ? 'selected' : ''}>LEAVE</option>
-                <option value="TAD" ${unavail.type === 'TAD' ? 'selected' : ''}>TAD</option>
+                ${renderAbsenceOptions(unavail.type)}
             </select>
             <input type="date" value="${unavail.startDate || ''}" onchange="updateUnavailStart(${index}, this.value)">
             <input type="date" value="${unavail.endDate || ''}" onchange="updateUnavailEnd(${index}, this.value)">
@@ -1009,45 +1973,210 @@ function renderUnavailabilityList(unavailList) {
 
 function addUnavailability() {
     if (!currentEditEmployee) return;
-    const emp = AppState.groups[currentEditEmployee.gIndex].employees[currentEditEmployee.eIndex];
+    const emp = findEmployee(currentEditEmployee);
     if (!emp.unavailability) emp.unavailability = [];
-    emp.unavailability.push({ type: 'LEAVE', startDate: '', endDate: '' });
+    emp.unavailability.push({ type: getDefaultAbsenceCode(), startDate: '', endDate: '' });
     renderUnavailabilityList(emp.unavailability);
 }
 
 function updateUnavailType(index, value) {
     if (!currentEditEmployee) return;
-    const emp = AppState.groups[currentEditEmployee.gIndex].employees[currentEditEmployee.eIndex];
+    const emp = findEmployee(currentEditEmployee);
     emp.unavailability[index].type = value;
 }
 
 function updateUnavailStart(index, value) {
     if (!currentEditEmployee) return;
-    const emp = AppState.groups[currentEditEmployee.gIndex].employees[currentEditEmployee.eIndex];
+    const emp = findEmployee(currentEditEmployee);
     emp.unavailability[index].startDate = value;
 }
 
 function updateUnavailEnd(index, value) {
     if (!currentEditEmployee) return;
-    const emp = AppState.groups[currentEditEmployee.gIndex].employees[currentEditEmployee.eIndex];
+    const emp = findEmployee(currentEditEmployee);
     emp.unavailability[index].endDate = value;
 }
 
 function removeUnavailability(index) {
     if (!currentEditEmployee) return;
-    const emp = AppState.groups[currentEditEmployee.gIndex].employees[currentEditEmployee.eIndex];
+    const emp = findEmployee(currentEditEmployee);
     emp.unavailability.splice(index, 1);
     renderUnavailabilityList(emp.unavailability);
 }
 
+function renderShiftPreferences(emp) {
+    const prefs = getEmployeePreferences(emp);
+
+    document.getElementById('shiftPreferencesList').innerHTML = AppState.shifts
+        .filter(s => s.type === 'working')
+        .map(shift => {
+            const value = prefs.preferredShifts.includes(shift.code) ? 'prefer'
+                : prefs.avoidedShifts.includes(shift.code) ? 'avoid' : '';
+            return `
+                <div class="unavail-item">
+                    <span>${esc(shift.code)}${shift.desc ? ` (${esc(shift.desc)})` : ''}</span>
+                    <select data-shift-code="${esc(shift.code)}">
+                        <option value="" ${value === '' ? 'selected' : ''}>No preference</option>
+                        <option value="prefer" ${value === 'prefer' ? 'selected' : ''}>Prefer</option>
+                        <option value="avoid" ${value === 'avoid' ? 'selected' : ''}>Avoid</option>
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+    document.getElementById('preferredDaysOff').innerHTML = WEEKDAY_ORDER.map(wd => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${wd}" ${prefs.daysOff.includes(wd) ? 'checked' : ''}> ${DAY_NAMES[wd]}
+        </label>
+    `).join('');
+}
+
+// Read the preference controls back into { preferredShifts, avoidedShifts, daysOff }
+function readShiftPreferences() {
+    const prefs = { preferredShifts: [], avoidedShifts: [], daysOff: [] };
+    document.querySelectorAll('#shiftPreferencesList select').forEach(select => {
+        if (select.value === 'prefer') prefs.preferredShifts.push(select.dataset.shiftCode);
+        if (select.value === 'avoid') prefs.avoidedShifts.push(select.dataset.shiftCode);
+    });
+    document.querySelectorAll('#preferredDaysOff input:checked').forEach(input => {
+        prefs.daysOff.push(parseInt(input.value));
+    });
+    return prefs;
+}
+
+function renderRequestsList(requests) {
+    const container = document.getElementById('requestsList');
+    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
+    container.innerHTML = '';
+
+    requests.forEach((request, index) => {
+        const shiftOptions = workingShifts.map(shift =>
+            `<option value="${esc(shift.code)}" ${request.shiftCode === shift.code ? 'selected' : ''}>${esc(shift.code)}</option>`
+        ).join('');
+
+        const item = document.createElement('div');
+        item.className = 'unavail-item';
+        item.innerHTML = `
+            <select onchange="updateRequestType(${index}, this.value)">
+                <option value="OFF" ${request.type === 'OFF' ? 'selected' : ''}>Day off</option>
+                <option value="SHIFT" ${request.type === 'SHIFT' ? 'selected' : ''}>Shift</option>
+            </select>
+            <input type="date" value="${request.date || ''}" onchange="updateRequestDate(${index}, this.value)">
+            <select onchange="updateRequestShift(${index}, this.value)" ${request.type === 'SHIFT' ? '' : 'disabled'}>
+                ${shiftOptions}
+            </select>
+            <button class="btn btn-sm btn-outline" onclick="removeRequest(${index})">×</button>
+        `;
+        container.appendChild(item);
+    });
+}
+
+function addRequest() {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    if (!emp.requests) emp.requests = [];
+    emp.requests.push({ type: 'OFF', date: '', shiftCode: null });
+    renderRequestsList(emp.requests);
+}
+
+function updateRequestType(index, value) {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    const request = emp.requests[index];
+    request.type = value;
+    if (value === 'SHIFT' && !request.shiftCode) {
+        const firstWorking = AppState.shifts.find(s => s.type === 'working');
+        request.shiftCode = firstWorking ? firstWorking.code : null;
+    }
+    renderRequestsList(emp.requests);
+}
+
+function updateRequestDate(index, value) {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    emp.requests[index].date = value;
+}
+
+function updateRequestShift(index, value) {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    emp.requests[index].shiftCode = value;
+}
+
+function removeRequest(index) {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    emp.requests.splice(index, 1);
+    renderRequestsList(emp.requests);
+}
+
+function renderFixedShiftsList(fixedShifts) {
+    const container = document.getElementById('fixedShiftsList');
+    container.innerHTML = '';
+
+    fixedShifts.forEach((fixed, index) => {
+        const shiftOptions = AppState.shifts.map(shift =>
+            `<option value="${esc(shift.code)}" ${fixed.shiftCode === shift.code ? 'selected' : ''}>${esc(shift.code)}</option>`
+        ).join('');
+
+        const item = document.createElement('div');
+        item.className = 'unavail-item';
+        item.innerHTML = `
+            <input type="date" value="${fixed.date || ''}" onchange="updateFixedShiftDate(${index}, this.value)">
+            <select onchange="updateFixedShiftCode(${index}, this.value)">
+                ${shiftOptions}
+                <option value="" ${fixed.shiftCode === null ? 'selected' : ''}>Off</option>
+            </select>
+            <button class="btn btn-sm btn-outline" onclick="removeFixedShift(${index})">×</button>
+        `;
+        container.appendChild(item);
+    });
+}
+
+function addFixedShift() {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    if (!emp.fixedShifts) emp.fixedShifts = [];
+    const firstWorking = AppState.shifts.find(s => s.type === 'working');
+    emp.fixedShifts.push({ date: '', shiftCode: firstWorking ? firstWorking.code : null });
+    renderFixedShiftsList(emp.fixedShifts);
+}
+
+function updateFixedShiftDate(index, value) {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    emp.fixedShifts[index].date = value;
+}
+
+function updateFixedShiftCode(index, value) {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    emp.fixedShifts[index].shiftCode = value || null;
+}
+
+function removeFixedShift(index) {
+    if (!currentEditEmployee) return;
+    const emp = findEmployee(currentEditEmployee);
+    emp.fixedShifts.splice(index, 1);
+    renderFixedShiftsList(emp.fixedShifts);
+}
+
 function saveEmployeeModal() {
     if (!currentEditEmployee) return;
-    const emp = AppState.groups[currentEditEmployee.gIndex].employees[currentEditEmployee.eIndex];
+    const emp = findEmployee(currentEditEmployee);
     emp.name = document.getElementById('modalEmployeeName').value;
+    emp.employeeNumber = document.getElementById('modalEmployeeNumber').value.trim();
+    readContractFields(emp);
+    emp.skills = parseSkillList(document.getElementById('modalEmployeeSkills').value);
+    emp.preferences = readShiftPreferences();
+    emp.requests = (emp.requests || []).filter(request => request.date);
+    emp.fixedShifts = (emp.fixedShifts || []).filter(fixed => fixed.date);
+    moveEmployeeToGroup(emp.id, parseInt(document.getElementById('modalEmployeeGroup').value));
     closeEmployeeModal();
     renderGroupsList();
     renderUnavailabilitySection();
     saveToStorage();
+    if (AppState.schedule) renderSchedule();
 }
 
 // ============================================
@@ -1060,14 +2189,14 @@ function renderUnavailabilitySection() {
 
     // Get all employees with their group info
     const allEmployees = [];
-    AppState.groups.forEach((group, gIndex) => {
-        group.employees.forEach((emp, eIndex) => {
+    AppState.groups.forEach(group => {
+        group.employees.forEach(emp => {
             allEmployees.push({
+                id: emp.id,
                 name: emp.name,
                 groupName: group.name,
-                gIndex,
-                eIndex,
-                unavailability: emp.unavailability || []
+                unavailability: emp.unavailability || [],
+                recurringUnavailability: emp.recurringUnavailability || []
             });
         });
     });
@@ -1085,15 +2214,14 @@ function renderUnavailabilitySection() {
                 ...unavail,
                 empName: emp.name,
                 groupName: emp.groupName,
-                gIndex: emp.gIndex,
-                eIndex: emp.eIndex,
+                empId: emp.id,
                 uIndex
             });
         });
     });
 
-    if (allEntries.length === 0) {
-        container.innerHTML = '<div class="unavail-empty">No time off entries. Click "+ Add Time Off Entry" to add unavailability.</div>';
+    if (allEntries.length === 0 && !allEmployees.some(emp => emp.recurringUnavailability.length > 0)) {
+        container.innerHTML = '<div class="unavail-empty">No time off entries. Click "+ Add Time Off Entry" or "+ Add Recurring Rule" to add unavailability.</div>';
         return;
     }
 
@@ -1107,39 +2235,42 @@ function renderUnavailabilitySection() {
     // Render each entry
     allEntries.forEach((entry, displayIndex) => {
         const entryEl = document.createElement('div');
-        entryEl.className = `unavail-entry ${entry.type === 'TAD' ? 'tad' : ''}`;
-        entryEl.dataset.gindex = entry.gIndex;
-        entryEl.dataset.eindex = entry.eIndex;
+        const absence = getAbsenceType(entry.type);
+        entryEl.className = 'unavail-entry';
+        if (absence) entryEl.style.borderLeftColor = absence.color;
+        entryEl.dataset.empId = entry.empId;
         entryEl.dataset.uindex = entry.uIndex;
+        const ref = `'${esc(entry.empId)}', ${entry.uIndex}`;
 
         // Build employee options
         let employeeOptions = '';
         allEmployees.forEach(emp => {
-            const selected = emp.gIndex === entry.gIndex && emp.eIndex === entry.eIndex;
-            employeeOptions += `<option value="${emp.gIndex}-${emp.eIndex}" ${selected ? 'selected' : ''}>${esc(emp.name)} (${esc(emp.groupName)})</option>`;
+            const selected = emp.id === entry.empId;
+            employeeOptions += `<option value="${esc(emp.id)}" ${selected ? 'selected' : ''}>${esc(emp.name)} (${esc(emp.groupName)})</option>`;
         });
 
         entryEl.innerHTML = `
             <div class="unavail-entry-header">
-                <select class="form-control employee-select" onchange="updateUnavailEmployee(${entry.gIndex}, ${entry.eIndex}, ${entry.uIndex}, this.value)">
+                <select class="form-control employee-select" onchange="updateUnavailEmployee(${ref}, this.value)">
                     ${employeeOptions}
                 </select>
-                <select class="form-control" onchange="updateUnavailTypeSection(${entry.gIndex}, ${entry.eIndex}, ${entry.uIndex}, this.value)">
-                    <option value="LEAVE" ${entry.type === 'LEAVE' ? 'selected' : ''}>LEAVE</option>
-                    <option value="TAD" ${entry.type === 'TAD' ? 'selected' : ''}>TAD</option>
+                <select class="form-control" onchange="updateUnavailTypeSection(${ref}, this.value)">
+                    ${renderAbsenceOptions(entry.type)}
                 </select>
-                <button class="btn btn-sm btn-outline" onclick="deleteUnavailEntry(${entry.gIndex}, ${entry.eIndex}, ${entry.uIndex})">×</button>
+                <button class="btn btn-sm btn-outline" onclick="deleteUnavailEntry(${ref})">×</button>
             </div>
             <div class="unavail-entry-dates">
                 <input type="date" class="form-control" value="${entry.startDate || ''}"
-                    onchange="updateUnavailStartSection(${entry.gIndex}, ${entry.eIndex}, ${entry.uIndex}, this.value)">
+                    onchange="updateUnavailStartSection(${ref}, this.value)">
                 <span>to</span>
                 <input type="date" class="form-control" value="${entry.endDate || ''}"
-                    onchange="updateUnavailEndSection(${entry.gIndex}, ${entry.eIndex}, ${entry.uIndex}, this.value)">
+                    onchange="updateUnavailEndSection(${ref}, this.value)">
             </div>
         `;
         container.appendChild(entryEl);
     });
+
+    renderRecurringEntries(container, allEmployees);
 }
 
 function addUnavailabilityEntry() {
@@ -1150,17 +2281,10 @@ function addUnavailabilityEntry() {
     }
 
     // Find first employee
-    let firstEmp = null;
-    for (let g = 0; g < AppState.groups.length; g++) {
-        if (AppState.groups[g].employees.length > 0) {
-            firstEmp = { gIndex: g, eIndex: 0 };
-            break;
-        }
-    }
-
-    if (!firstEmp) return;
+    const firstGroup = AppState.groups.find(g => g.employees.length > 0);
+    if (!firstGroup) return;
 
-    const emp = AppState.groups[firstEmp.gIndex].employees[firstEmp.eIndex];
+    const emp = firstGroup.employees[0];
     if (!emp.unavailability) emp.unavailability = [];
 
     // Default to current month dates
@@ -1169,7 +2293,7 @@ function addUnavailabilityEntry() {
     const startDate = `${year}-${String(month + 1).padStart(2, '0')}-01`;
 
     emp.unavailability.push({
-        type: 'LEAVE',
+        type: getDefaultAbsenceCode(),
         startDate: startDate,
         endDate: startDate
     });
@@ -1177,37 +2301,38 @@ function addUnavailabilityEntry() {
     renderUnavailabilitySection();
     renderGroupsList();
     saveToStorage();
+    revalidateSchedule();
 }
 
-function updateUnavailEmployee(oldGIndex, oldEIndex, uIndex, newValue) {
-    const [newGIndex, newEIndex] = newValue.split('-').map(Number);
-
+function updateUnavailEmployee(oldEmpId, uIndex, newEmpId) {
     // Get the unavailability entry
-    const oldEmp = AppState.groups[oldGIndex].employees[oldEIndex];
+    const oldEmp = findEmployee(oldEmpId);
     const entry = oldEmp.unavailability[uIndex];
 
     // Remove from old employee
     oldEmp.unavailability.splice(uIndex, 1);
 
     // Add to new employee
-    const newEmp = AppState.groups[newGIndex].employees[newEIndex];
+    const newEmp = findEmployee(newEmpId);
     if (!newEmp.unavailability) newEmp.unavailability = [];
     newEmp.unavailability.push(entry);
 
     renderUnavailabilitySection();
     renderGroupsList();
     saveToStorage();
+    revalidateSchedule();
 }
 
-function updateUnavailTypeSection(gIndex, eIndex, uIndex, value) {
-    AppState.groups[gIndex].employees[eIndex].unavailability[uIndex].type = value;
+function updateUnavailTypeSection(empId, uIndex, value) {
+    findEmployee(empId).unavailability[uIndex].type = value;
     renderUnavailabilitySection();
     renderGroupsList();
     saveToStorage();
+    revalidateSchedule();
 }
 
-function updateUnavailStartSection(gIndex, eIndex, uIndex, value) {
-    const unavail = AppState.groups[gIndex].employees[eIndex].unavailability[uIndex];
+function updateUnavailStartSection(empId, uIndex, value) {
+    const unavail = findEmployee(empId).unavailability[uIndex];
     unavail.startDate = value;
     // If end date is empty or before start, set it to start
     if (!unavail.endDate || unavail.endDate < value) {
@@ -1215,10 +2340,11 @@ function updateUnavailStartSection(gIndex, eIndex, uIndex, value) {
     }
     renderUnavailabilitySection();
     saveToStorage();
+    revalidateSchedule();
 }
 
-function updateUnavailEndSection(gIndex, eIndex, uIndex, value) {
-    const unavail = AppState.groups[gIndex].employees[eIndex].unavailability[uIndex];
+function updateUnavailEndSection(empId, uIndex, value) {
+    const unavail = findEmployee(empId).unavailability[uIndex];
     unavail.endDate = value;
     // If start date is empty or after end, set it to end
     if (!unavail.startDate || unavail.startDate > value) {
@@ -1226,381 +2352,3366 @@ function updateUnavailEndSection(gIndex, eIndex, uIndex, value) {
     }
     renderUnavailabilitySection();
     saveToStorage();
+    revalidateSchedule();
 }
 
-function deleteUnavailEntry(gIndex, eIndex, uIndex) {
-    AppState.groups[gIndex].employees[eIndex].unavailability.splice(uIndex, 1);
+function deleteUnavailEntry(empId, uIndex) {
+    findEmployee(empId).unavailability.splice(uIndex, 1);
     renderUnavailabilitySection();
     renderGroupsList();
     saveToStorage();
+    revalidateSchedule();
 }
 
 // ============================================
-// COVERAGE GRID
+// RECURRING UNAVAILABILITY
 // ============================================
+// Weekly or bi-weekly limits on when someone can work, next to their dated absences:
+//   emp.recurringUnavailability = [{ weekday, every: 1 | 2, startDate, from, to, note }]
+// weekday is a Date.getDay() index. Bi-weekly rules fall on the weeks counted from
+// startDate (rules apply from startDate on). from/to ('HH:MM') narrow the rule to a time
+// window: only 'from' means "after", only 'to' means "before", neither means all day,
+// and to <= from runs past midnight. Timed rules block only shifts whose hours overlap
+// the window; untimed shifts are only blocked by all-day rules.
+
+const WEEKDAY_SHORT_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function recurringRuleAppliesOn(rule, dateStr) {
+    const date = parseLocalDate(dateStr);
+    if (date.getDay() !== rule.weekday) return false;
+    if (rule.startDate && dateStr < rule.startDate) return false;
+    if ((rule.every || 1) === 1 || !rule.startDate) return true;
+    const days = Math.round((date - parseLocalDate(rule.startDate)) / (24 * 60 * 60 * 1000));
+    return Math.floor(days / 7) % rule.every === 0;
+}
 
-function renderCoverageGrid() {
-    const container = document.getElementById('coverageGrid');
-    container.innerHTML = '';
+function isAllDayRule(rule) {
+    return !rule.from && !rule.to;
+}
 
-    // Only show coverage for working shifts
-    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
+// Rule window on day x in minutes from the start of the period
+function getRecurringRuleWindow(rule, x) {
+    const start = parseTimeToMinutes(rule.from) || 0;
+    let end = rule.to ? parseTimeToMinutes(rule.to) : null;
+    if (end === null) end = 24 * 60;
+    if (end <= start) end += 24 * 60;
+    return { start: x * 24 * 60 + start, end: x * 24 * 60 + end };
+}
 
-    workingShifts.forEach(shift => {
-        const row = document.createElement('div');
-        row.className = 'coverage-row';
-
-        // Get default coverage based on preset
-        const defaultCoverage = getCoverageDefault(shift.code);
-
-        row.innerHTML = `
-            <div class="shift-badge" style="background: ${esc(shift.color)}">${esc(shift.code)}</div>
-            <label>${esc(shift.desc || shift.code)}</label>
-            <input type="number" class="form-control" min="0" max="10"
-                value="${shift.coverage !== undefined ? shift.coverage : defaultCoverage}"
-                onchange="updateShiftCoverage('${esc(shift.code)}', this.value)">
+// The rule that rules out shiftCode on dayIndex for emp, or null. Windows from the day
+// before (past midnight) and shifts running into the next day are checked too.
+function findRecurringConflict(emp, dayIndex, shiftCode, shiftLookup = buildShiftLookup()) {
+    const rules = emp.recurringUnavailability || [];
+    const shift = shiftLookup[shiftCode];
+    if (rules.length === 0 || !shift) return null;
+    const shiftWindow = getShiftWindow(shift, dayIndex);
+
+    for (const rule of rules) {
+        for (let x = dayIndex - 1; x <= dayIndex + 1; x++) {
+            if (!recurringRuleAppliesOn(rule, formatDateStr(getDateForDay(x)))) continue;
+            if (isAllDayRule(rule)) {
+                if (x === dayIndex) return rule;
+                continue;
+            }
+            if (!shiftWindow) continue;
+            const window = getRecurringRuleWindow(rule, x);
+            if (shiftWindow.start < window.end && shiftWindow.end > window.start) return rule;
+        }
+    }
+    return null;
+}
+
+// "Every Tue after 18:00", "Every other Mon (all day)"
+function describeRecurringRule(rule) {
+    const day = `${rule.every === 2 ? 'Every other' : 'Every'} ${WEEKDAY_SHORT_NAMES[rule.weekday]}`;
+    let time = ' (all day)';
+    if (rule.from && rule.to) time = ` ${rule.from}-${rule.to}`;
+    else if (rule.from) time = ` after ${rule.from}`;
+    else if (rule.to) time = ` before ${rule.to}`;
+    return day + time + (rule.note ? ` - ${rule.note}` : '');
+}
+
+function renderRecurringEntries(container, allEmployees) {
+    const entries = [];
+    allEmployees.forEach(emp => {
+        (emp.recurringUnavailability || []).forEach((rule, rIndex) => entries.push({ rule, emp, rIndex }));
+    });
+    if (entries.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'unavail-subheading';
+    heading.textContent = 'Recurring';
+    container.appendChild(heading);
+
+    entries.sort((a, b) => WEEKDAY_ORDER.indexOf(a.rule.weekday) - WEEKDAY_ORDER.indexOf(b.rule.weekday));
+    entries.forEach(({ rule, emp, rIndex }) => {
+        const ref = `'${esc(emp.id)}', ${rIndex}`;
+        const employeeOptions = allEmployees.map(other =>
+            `<option value="${esc(other.id)}" ${other.id === emp.id ? 'selected' : ''}>${esc(other.name)} (${esc(other.groupName)})</option>`
+        ).join('');
+        const weekdayOptions = WEEKDAY_ORDER.map(wd =>
+            `<option value="${wd}" ${rule.weekday === wd ? 'selected' : ''}>${WEEKDAY_SHORT_NAMES[wd]}</option>`
+        ).join('');
+
+        const entryEl = document.createElement('div');
+        entryEl.className = 'unavail-entry recurring';
+        entryEl.title = describeRecurringRule(rule);
+        entryEl.innerHTML = `
+            <div class="unavail-entry-header">
+                <select class="form-control employee-select" onchange="updateRecurringEmployee(${ref}, this.value)">
+                    ${employeeOptions}
+                </select>
+                <select class="form-control" onchange="updateRecurringField(${ref}, 'weekday', this.value)">
+                    ${weekdayOptions}
+                </select>
+                <select class="form-control" onchange="updateRecurringField(${ref}, 'every', this.value)">
+                    <option value="1" ${rule.every !== 2 ? 'selected' : ''}>Weekly</option>
+                    <option value="2" ${rule.every === 2 ? 'selected' : ''}>Every 2 weeks</option>
+                </select>
+                <button class="btn btn-sm btn-outline" onclick="deleteRecurringEntry(${ref})">×</button>
+            </div>
+            <div class="unavail-entry-dates">
+                <input type="time" class="form-control" value="${esc(rule.from || '')}" title="From (empty = start of day)"
+                    onchange="updateRecurringField(${ref}, 'from', this.value)">
+                <span>to</span>
+                <input type="time" class="form-control" value="${esc(rule.to || '')}" title="To (empty = end of day)"
+                    onchange="updateRecurringField(${ref}, 'to', this.value)">
+                <input type="date" class="form-control" value="${esc(rule.startDate || '')}" title="Starting (bi-weekly rules count weeks from here)"
+                    onchange="updateRecurringField(${ref}, 'startDate', this.value)">
+            </div>
+            <input type="text" class="form-control unavail-note" value="${esc(rule.note || '')}" placeholder="Reason, e.g. school pickup"
+                onchange="updateRecurringField(${ref}, 'note', this.value)">
         `;
-        container.appendChild(row);
+        container.appendChild(entryEl);
     });
 }
 
-function getCoverageDefault(shiftCode) {
-    const preset = AppState.coveragePreset;
-    if (preset === '24_7') return 1;
-    if (preset === '8x5') return shiftCode === 'D' ? 1 : 0;
-    if (preset === '12x7') return ['D', 'N'].includes(shiftCode) ? 1 : 0;
-    return 1; // custom
+function addRecurringEntry() {
+    const firstGroup = AppState.groups.find(g => g.employees.length > 0);
+    if (!firstGroup) {
+        alert('Please add at least one group with employees first.');
+        return;
+    }
+
+    const emp = firstGroup.employees[0];
+    if (!emp.recurringUnavailability) emp.recurringUnavailability = [];
+    const startDate = getPeriodBounds().startDate || formatDateStr(new Date());
+    emp.recurringUnavailability.push({
+        weekday: parseLocalDate(startDate).getDay(),
+        every: 1,
+        startDate,
+        from: '',
+        to: '',
+        note: ''
+    });
+
+    renderUnavailabilitySection();
+    renderGroupsList();
+    saveToStorage();
+    revalidateSchedule();
 }
 
-function updateShiftCoverage(code, value) {
-    const shift = AppState.shifts.find(s => s.code === code);
-    if (shift) {
-        shift.coverage = parseInt(value);
-        saveToStorage();
-    }
+function updateRecurringEmployee(oldEmpId, rIndex, newEmpId) {
+    const oldEmp = findEmployee(oldEmpId);
+    const [rule] = oldEmp.recurringUnavailability.splice(rIndex, 1);
+    const newEmp = findEmployee(newEmpId);
+    if (!newEmp.recurringUnavailability) newEmp.recurringUnavailability = [];
+    newEmp.recurringUnavailability.push(rule);
+
+    renderUnavailabilitySection();
+    renderGroupsList();
+    saveToStorage();
+    revalidateSchedule();
+}
+
+function updateRecurringField(empId, rIndex, field, value) {
+    const rule = findEmployee(empId).recurringUnavailability[rIndex];
+    rule[field] = ['weekday', 'every'].includes(field) ? parseInt(value) : value.trim();
+    renderUnavailabilitySection();
+    saveToStorage();
+    revalidateSchedule();
+}
+
+function deleteRecurringEntry(empId, rIndex) {
+    findEmployee(empId).recurringUnavailability.splice(rIndex, 1);
+    renderUnavailabilitySection();
+    renderGroupsList();
+    saveToStorage();
+    revalidateSchedule();
 }
 
 // ============================================
-// SCHEDULE GENERATION
+// LEAVE & SWAP REQUESTS
 // ============================================
+// Requests from staff wait in a queue until a manager decides on them:
+//   AppState.leaveRequests = [{ id, empId, kind: 'leave' | 'swap', type, startDate, endDate,
+//                               swapEmpId, swapDate, reason, status, submittedAt, decidedAt }]
+// status is 'pending', 'approved' or 'denied'. An approved leave request becomes an
+// unavailability entry of its absence type and takes the person off their rostered working
+// shifts on those days (pinned cells stay); an approved swap trades empId's cell on
+// startDate with swapEmpId's cell on swapDate in the roster. Everything stays in AppState,
+// so requests are saved locally and travel with project files.
+
+let leaveQueueOpen = false;
+
+const REQUEST_STATUS_LABELS = { pending: 'Pending', approved: 'Approved', denied: 'Denied' };
+
+function toggleLeaveQueue() {
+    leaveQueueOpen = !leaveQueueOpen;
+    document.getElementById('leaveQueueBtn').classList.toggle('active', leaveQueueOpen);
+    renderLeaveQueue();
+}
 
-function getDaysInPeriod() {
-    if (AppState.calendarStyle === 'monthly') {
-        return new Date(AppState.year, AppState.month + 1, 0).getDate();
-    } else {
-        return AppState.duration;
-    }
+// The queue belongs to the draft; an archived version on screen is read-only
+function isLeaveQueueLocked() {
+    if (!archiveView) return false;
+    alert('An archived version is on screen (read-only). Close it to change leave and swap requests.');
+    return true;
 }
 
-function getDateForDay(dayIndex) {
-    if (AppState.calendarStyle === 'monthly') {
-        return new Date(AppState.year, AppState.month, dayIndex + 1);
-    } else {
-        const start = parseLocalDate(AppState.startDate);
-        return new Date(start.getTime() + dayIndex * 24 * 60 * 60 * 1000);
-    }
+function getPendingRequestCount() {
+    return AppState.leaveRequests.filter(request => request.status === 'pending').length;
 }
 
-// Parse a date string (YYYY-MM-DD) as local time, not UTC
-function parseLocalDate(dateStr) {
-    if (!dateStr) return null;
-    const [year, month, day] = dateStr.split('-').map(Number);
-    return new Date(year, month - 1, day);
+// Day index of each date in the saved roster (empty if there is no roster for this period)
+function getRosterDayIndex() {
+    const days = {};
+    if (!AppState.schedule || !isScheduleForCurrentPeriod()) return days;
+    for (let d = 0; d < getDaysInPeriod(); d++) days[formatDateStr(getDateForDay(d))] = d;
+    return days;
 }
 
-// Format a date as YYYY-MM-DD string for comparison
-function formatDateStr(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+// Headcount per working shift on day d
+function countShiftOnDay(schedule, d, shiftCode) {
+    return AppState.groups.reduce((sum, group) =>
+        sum + group.employees.filter(emp => (schedule[emp.id] || [])[d] === shiftCode).length, 0);
 }
 
-function generateSchedule() {
-    AppState.randomSeed = Date.now();
-    runScheduler();
-}
+// What approving a request would do to coverage, as { lines, short } where each line reads
+// like "Day 6 N: 1 of 2 left" and short counts shift/days left below their required headcount
+function getRequestImpact(request) {
+    const dayIndex = getRosterDayIndex();
+    if (Object.keys(dayIndex).length === 0) return { lines: ['No roster for this period yet'], short: 0 };
+
+    const shiftLookup = buildShiftLookup();
+    const schedule = AppState.schedule;
+    const lines = [];
+    let short = 0;
+    // The person leaves code on day d: how many are left against the required headcount
+    const describeLeaving = (d, code) => {
+        const left = countShiftOnDay(schedule, d, code) - 1;
+        const required = getRequiredCoverage(shiftLookup[code], d);
+        if (left < required) short++;
+        lines.push(`Day ${d + 1} ${code}: ${left} of ${required} left`);
+    };
 
-function regenerateSchedule() {
-    AppState.randomSeed = Date.now() + Math.random() * 1000000;
-    runScheduler();
-    if (typeof umami !== 'undefined') umami.track('schedule-regenerated');
-}
+    if (request.kind === 'swap') {
+        const d1 = dayIndex[request.startDate];
+        const d2 = dayIndex[request.swapDate || request.startDate];
+        if (d1 === undefined || d2 === undefined) return { lines: ['Outside the rostered period'], short: 0 };
+        const code1 = (schedule[request.empId] || [])[d1] || null;
+        const code2 = (schedule[request.swapEmpId] || [])[d2] || null;
+
+        // Only coverage on different days changes; same-day swaps just trade people
+        if (d1 !== d2) {
+            [[d1, code1, code2], [d2, code2, code1]].forEach(([d, leaving, arriving]) => {
+                if (shiftLookup[leaving] && shiftLookup[leaving].type === 'working') describeLeaving(d, leaving);
+                if (shiftLookup[arriving] && shiftLookup[arriving].type === 'working') {
+                    const count = countShiftOnDay(schedule, d, arriving);
+                    const required = getRequiredCoverage(shiftLookup[arriving], d);
+                    lines.push(`Day ${d + 1} ${arriving}: ${count + 1} of ${required}`);
+                }
+            });
+        }
+        if (buildSwapChecker(schedule)(request.empId, d1, request.swapEmpId, d2)) {
+            lines.push('Breaks a scheduling rule');
+        }
+        return { lines: lines.length > 0 ? lines : ['Coverage unchanged'], short };
+    }
 
-// Simple seeded random
-function seededRandom(seed) {
-    const x = Math.sin(seed++) * 10000;
-    return x - Math.floor(x);
+    const endDate = request.endDate || request.startDate;
+    Object.keys(dayIndex).forEach(dateStr => {
+        if (dateStr < request.startDate || dateStr > endDate) return;
+        const d = dayIndex[dateStr];
+        const code = (schedule[request.empId] || [])[d];
+        const shift = shiftLookup[code];
+        if (!shift || shift.type !== 'working') return;
+        describeLeaving(d, code);
+    });
+    return { lines: lines.length > 0 ? lines : ['No rostered shifts affected'], short };
 }
 
-function runScheduler() {
-    if (swapMode) exitSwapMode();
-    const numDays = getDaysInPeriod();
-    AppState.warnings = [];
+function describeLeaveRequest(request) {
+    if (request.kind === 'swap') {
+        const other = findEmployee(request.swapEmpId);
+        const swapDate = request.swapDate || request.startDate;
+        return `Swap ${request.startDate} with ${other ? other.name : 'removed employee'}${swapDate !== request.startDate ? ` (${swapDate})` : ''}`;
+    }
+    const endDate = request.endDate || request.startDate;
+    return `${request.type} ${request.startDate}${endDate !== request.startDate ? ` to ${endDate}` : ''}`;
+}
 
-    // Flatten employees with group info
-    const allEmployees = [];
-    AppState.groups.forEach((group, gIndex) => {
-        group.employees.forEach((emp, eIndex) => {
-            allEmployees.push({
-                ...emp,
-                groupIndex: gIndex,
-                groupName: group.name,
-                empIndex: eIndex,
-                id: `${gIndex}-${eIndex}`
-            });
-        });
-    });
+function renderLeaveQueue() {
+    const pending = getPendingRequestCount();
+    document.getElementById('leaveQueueBtn').textContent = pending > 0 ? `Leave Requests (${pending})` : 'Leave Requests';
 
-    if (allEmployees.length === 0) {
-        alert('Please add at least one group with employees before generating a schedule.');
+    const panel = document.getElementById('leaveQueuePanel');
+    if (!leaveQueueOpen) {
+        panel.classList.add('hidden');
         return;
     }
+    panel.classList.remove('hidden');
 
-    // Initialize schedule: schedule[empId][dayIndex] = shiftCode or null
-    const schedule = {};
-    allEmployees.forEach(emp => {
-        schedule[emp.id] = new Array(numDays).fill(null);
+    // Capture form: employee and absence type choices follow the current setup
+    const employees = AppState.groups.flatMap(group => group.employees);
+    const employeeOptions = employees.map(emp => `<option value="${esc(emp.id)}">${esc(emp.name)}</option>`).join('');
+    ['leaveRequestEmployee', 'leaveRequestSwapEmployee'].forEach(id => {
+        const select = document.getElementById(id);
+        const value = select.value;
+        select.innerHTML = employeeOptions;
+        if (employees.some(emp => emp.id === value)) select.value = value;
     });
-
-    // Pre-fill unavailability
-    allEmployees.forEach(emp => {
-        if (emp.unavailability && emp.unavailability.length > 0) {
-            emp.unavailability.forEach(unavail => {
-                if (!unavail.startDate) return;
-                const startStr = unavail.startDate;
-                const endStr = unavail.endDate || unavail.startDate;
-
-                for (let d = 0; d < numDays; d++) {
-                    const dateStr = formatDateStr(getDateForDay(d));
-                    // Compare as strings (YYYY-MM-DD format allows string comparison)
-                    if (dateStr >= startStr && dateStr <= endStr) {
-                        schedule[emp.id][d] = unavail.type;
-                    }
-                }
-            });
-        }
+    const typeSelect = document.getElementById('leaveRequestType');
+    const typeValue = typeSelect.value;
+    typeSelect.innerHTML = renderAbsenceOptions(typeValue || getDefaultAbsenceCode());
+    const isSwap = document.getElementById('leaveRequestKind').value === 'swap';
+    document.querySelectorAll('#leaveQueuePanel .leave-only').forEach(el => el.classList.toggle('hidden', isSwap));
+    document.querySelectorAll('#leaveQueuePanel .swap-only').forEach(el => el.classList.toggle('hidden', !isSwap));
+
+    // Pending first (oldest first), then decided requests (latest first)
+    const requests = [...AppState.leaveRequests].sort((a, b) => {
+        if ((a.status === 'pending') !== (b.status === 'pending')) return a.status === 'pending' ? -1 : 1;
+        return a.status === 'pending'
+            ? a.submittedAt.localeCompare(b.submittedAt)
+            : (b.decidedAt || '').localeCompare(a.decidedAt || '');
     });
 
-    // Get rotation pattern (if any)
-    const rotationPatternObj = getSelectedRotationPattern();
-    const rotationPattern = rotationPatternObj ? rotationPatternObj.pattern : null;
-
-    // If using a rotation pattern, assign each employee an offset for staggered coverage
-    const employeePatternOffsets = {};
-    if (rotationPattern) {
-        const cycleLength = rotationPattern.length;
-        allEmployees.forEach((emp, index) => {
-            // Stagger employees across the pattern to ensure coverage
-            // Different employees start at different points in the cycle
-            employeePatternOffsets[emp.id] = Math.floor((index * cycleLength) / allEmployees.length);
-        });
+    const body = document.getElementById('leaveQueueList');
+    if (requests.length === 0) {
+        body.innerHTML = '<tr><td colspan="6" class="denied">No requests yet.</td></tr>';
+        return;
     }
+    body.innerHTML = requests.map(request => {
+        const emp = findEmployee(request.empId);
+        const id = esc(request.id);
+        const impact = request.status === 'pending' ? getRequestImpact(request) : null;
+        const locked = archiveView ? ' disabled' : '';
+        const actions = request.status === 'pending'
+            ? `<button class="btn btn-sm btn-primary" onclick="approveLeaveRequest('${id}')"${locked}>Approve</button>
+               <button class="btn btn-sm btn-outline" onclick="denyLeaveRequest('${id}')"${locked}>Deny</button>`
+            : '';
+        return `
+            <tr class="request-${esc(request.status)}">
+                <td>${emp ? esc(emp.name) : '<span class="denied">Removed employee</span>'}</td>
+                <td>${esc(describeLeaveRequest(request))}</td>
+                <td>${esc(request.reason || '')}</td>
+                <td><span class="request-status ${esc(request.status)}">${REQUEST_STATUS_LABELS[request.status]}</span></td>
+                <td class="${impact && impact.short > 0 ? 'impact-short' : ''}">${impact ? impact.lines.map(esc).join('<br>') : ''}</td>
+                <td class="request-actions">
+                    ${actions}
+                    <button class="btn btn-sm btn-outline" onclick="deleteLeaveRequest('${id}')" title="Remove from the queue"${locked}>×</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
 
-    // Get working shifts sorted by priority (N > E > D > others)
-    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
-    const shiftPriority = { 'N': 1, 'E': 2, 'D': 3 };
-    workingShifts.sort((a, b) => (shiftPriority[a.code] || 10) - (shiftPriority[b.code] || 10));
+function submitLeaveRequest() {
+    if (isLeaveQueueLocked()) return;
+    const kind = document.getElementById('leaveRequestKind').value;
+    const empId = document.getElementById('leaveRequestEmployee').value;
+    const startDate = document.getElementById('leaveRequestStart').value;
+    const endDate = document.getElementById('leaveRequestEnd').value;
+    const swapEmpId = document.getElementById('leaveRequestSwapEmployee').value;
+    const swapDate = document.getElementById('leaveRequestSwapDate').value;
+
+    if (!empId || !startDate) {
+        alert('Please choose an employee and a date.');
+        return;
+    }
+    if (kind === 'leave' && endDate && endDate < startDate) {
+        alert('The end date is before the start date.');
+        return;
+    }
+    if (kind === 'swap' && (!swapEmpId || swapEmpId === empId)) {
+        alert('Please choose a colleague to swap with.');
+        return;
+    }
 
-    // Track shift counts for fairness
-    const shiftCounts = {};
-    allEmployees.forEach(emp => {
-        shiftCounts[emp.id] = { total: 0, night: 0 };
+    AppState.leaveRequests.push({
+        id: generateLeaveRequestId(),
+        empId,
+        kind,
+        type: kind === 'leave' ? document.getElementById('leaveRequestType').value : null,
+        startDate,
+        endDate: kind === 'leave' ? endDate || startDate : null,
+        swapEmpId: kind === 'swap' ? swapEmpId : null,
+        swapDate: kind === 'swap' ? swapDate || startDate : null,
+        reason: document.getElementById('leaveRequestReason').value.trim(),
+        status: 'pending',
+        submittedAt: new Date().toISOString(),
+        decidedAt: null
     });
-
-    // Track consecutive days
-    const consecutiveDays = {};
-    allEmployees.forEach(emp => {
-        consecutiveDays[emp.id] = 0;
+    ['leaveRequestStart', 'leaveRequestEnd', 'leaveRequestSwapDate', 'leaveRequestReason'].forEach(id => {
+        document.getElementById(id).value = '';
     });
+    saveToStorage();
+    renderLeaveQueue();
+}
 
-    let seed = AppState.randomSeed;
-
-    // Helper function to check if employee should work on a given day based on rotation pattern
-    function shouldWorkOnDay(empId, dayIndex) {
-        if (!rotationPattern) return true; // No pattern = always available
-        const offset = employeePatternOffsets[empId] || 0;
-        const cycleLength = rotationPattern.length;
-        const positionInCycle = (dayIndex + offset) % cycleLength;
-        return rotationPattern[positionInCycle] === 1;
-    }
+function generateLeaveRequestId() {
+    return `req-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
-    // Schedule day by day
-    for (let d = 0; d < numDays; d++) {
-        const date = getDateForDay(d);
-        const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+function findLeaveRequest(requestId) {
+    return AppState.leaveRequests.find(request => request.id === requestId);
+}
 
-        // For each shift type
-        workingShifts.forEach(shift => {
-            const coverage = shift.coverage !== undefined ? shift.coverage : getCoverageDefault(shift.code);
+function approveLeaveRequest(requestId) {
+    if (isLeaveQueueLocked()) return;
+    const request = findLeaveRequest(requestId);
+    const emp = request && findEmployee(request.empId);
+    if (!emp) {
+        alert('This employee is no longer on the staff list.');
+        return;
+    }
 
-            // Get coverage for this day (could vary by weekend)
-            let requiredCount = coverage;
-            if (AppState.coveragePreset === '8x5' && isWeekend) {
-                requiredCount = 0;
+    if (request.kind === 'swap') {
+        // The roster has to cover both dates, and pinned cells stay put
+        const dayIndex = getRosterDayIndex();
+        const d1 = dayIndex[request.startDate];
+        const d2 = dayIndex[request.swapDate || request.startDate];
+        const other = findEmployee(request.swapEmpId);
+        if (!other || d1 === undefined || d2 === undefined) {
+            alert('Swaps can only be approved once the roster for their dates is on screen.');
+            return;
+        }
+        if (isCellPinned(emp.id, d1) || isCellPinned(other.id, d2)) {
+            alert('One of these cells is pinned. Unpin it before approving the swap.');
+            return;
+        }
+        const value = ensureScheduleRow(emp.id)[d1];
+        AppState.schedule[emp.id][d1] = ensureScheduleRow(other.id)[d2];
+        AppState.schedule[other.id][d2] = value;
+    } else {
+        if (!emp.unavailability) emp.unavailability = [];
+        emp.unavailability.push({ type: request.type, startDate: request.startDate, endDate: request.endDate || request.startDate });
+
+        // Take them off their working shifts on the rostered days, as the scheduler would
+        const dayIndex = getRosterDayIndex();
+        const shiftLookup = buildShiftLookup();
+        const endDate = request.endDate || request.startDate;
+        const keptPinned = [];
+        Object.keys(dayIndex).forEach(dateStr => {
+            if (dateStr < request.startDate || dateStr > endDate) return;
+            const d = dayIndex[dateStr];
+            const shift = shiftLookup[(AppState.schedule[emp.id] || [])[d]];
+            if (!shift || shift.type !== 'working') return;
+            if (isCellPinned(emp.id, d)) {
+                keptPinned.push(d + 1);
+                return;
             }
+            ensureScheduleRow(emp.id)[d] = request.type;
+        });
+        if (keptPinned.length > 0) {
+            alert(`Pinned shifts on day ${keptPinned.join(', ')} were kept. Unpin them to take ${emp.name} off those days.`);
+        }
+    }
 
-            // Find available employees for this shift
-            let available = allEmployees.filter(emp => {
-                // Already assigned this day
-                if (schedule[emp.id][d] !== null) return false;
+    cancelOptimizer();
+    request.status = 'approved';
+    request.decidedAt = new Date().toISOString();
+    saveToStorage();
+    renderUnavailabilitySection();
+    renderGroupsList();
+    if (AppState.schedule && isScheduleForCurrentPeriod()) {
+        refreshScheduleRows(request.kind === 'swap' ? [request.empId, request.swapEmpId] : [request.empId]);
+    } else {
+        revalidateSchedule();
+    }
+    renderLeaveQueue();
+}
 
-                // Check rotation pattern - is this employee supposed to work today?
-                if (!shouldWorkOnDay(emp.id, d)) return false;
+function denyLeaveRequest(requestId) {
+    if (isLeaveQueueLocked()) return;
+    const request = findLeaveRequest(requestId);
+    if (!request) return;
+    request.status = 'denied';
+    request.decidedAt = new Date().toISOString();
+    saveToStorage();
+    renderLeaveQueue();
+}
 
-                // Check rest constraint with previous day
-                if (d > 0 && schedule[emp.id][d-1]) {
-                    const prevShift = AppState.shifts.find(s => s.code === schedule[emp.id][d-1]);
-                    if (prevShift && prevShift.type === 'working') {
-                        // Simplified: just check if it's a night shift followed by day shift
-                        if (prevShift.code === 'N' && shift.code === 'D') {
-                            return false;
-                        }
-                    }
-                }
+// Removing a request never undoes what approving it did
+function deleteLeaveRequest(requestId) {
+    if (isLeaveQueueLocked()) return;
+    if (!confirm('Remove this request from the queue?')) return;
+    AppState.leaveRequests = AppState.leaveRequests.filter(request => request.id !== requestId);
+    saveToStorage();
+    renderLeaveQueue();
+}
 
-                // Check consecutive days
-                if (consecutiveDays[emp.id] >= AppState.constraints.maxConsecutiveDays) {
-                    return false;
-                }
+// ============================================
+// COVERAGE GRID
+// ============================================
 
-                return true;
-            });
+function renderCoverageGrid() {
+    const container = document.getElementById('coverageGrid');
+    container.innerHTML = '';
 
-            // Sort by fairness (prefer those with fewer shifts)
-            available.sort((a, b) => {
-                let scoreA = shiftCounts[a.id].total;
-                let scoreB = shiftCounts[b.id].total;
+    // Only show coverage for working shifts
+    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
 
-                // Extra weight for night shifts
-                if (shift.code === 'N') {
-                    scoreA += shiftCounts[a.id].night * 2;
-                    scoreB += shiftCounts[b.id].night * 2;
-                }
+    let html = `<table class="coverage-matrix"><thead><tr><th></th>`;
+    WEEKDAY_ORDER.forEach(wd => {
+        html += `<th class="${wd === 0 || wd === 6 ? 'weekend' : ''}">${DAY_NAMES[wd]}</th>`;
+    });
+    html += `<th>All</th></tr></thead><tbody>`;
 
-                // Add some randomness for variety
-                scoreA += seededRandom(seed++) * 0.5;
-                scoreB += seededRandom(seed++) * 0.5;
+    workingShifts.forEach(shift => {
+        const weekdayCoverage = getWeekdayCoverage(shift);
+        const allSame = weekdayCoverage.every(c => c === weekdayCoverage[0]);
+
+        html += `<tr>
+            <td><div class="shift-badge" style="background: ${esc(shift.color)}" title="${esc(shift.desc || shift.code)}">${esc(shift.code)}</div></td>`;
+        WEEKDAY_ORDER.forEach(wd => {
+            html += `<td><input type="number" class="form-control" min="0" max="99" value="${weekdayCoverage[wd]}"
+                onchange="updateShiftWeekdayCoverage('${esc(shift.code)}', ${wd}, this.value)"></td>`;
+        });
+        html += `<td><input type="number" class="form-control" min="0" max="99" value="${allSame ? weekdayCoverage[0] : ''}" placeholder="-"
+                onchange="updateShiftCoverage('${esc(shift.code)}', this.value)"></td>
+        </tr>`;
+    });
 
-                return scoreA - scoreB;
-            });
+    html += `</tbody></table>`;
+    container.innerHTML = html;
 
-            // Assign shifts up to required count
-            let assigned = 0;
-            for (let i = 0; i < available.length && assigned < requiredCount; i++) {
-                const emp = available[i];
-                schedule[emp.id][d] = shift.code;
-                shiftCounts[emp.id].total++;
-                if (shift.code === 'N') shiftCounts[emp.id].night++;
-                assigned++;
-            }
+    renderCoverageOverrides();
+    renderHolidaySettings();
+}
 
-            // Check for undercoverage
-            if (assigned < requiredCount) {
-                AppState.warnings.push(`Day ${d+1}: ${shift.code} shift understaffed (${assigned}/${requiredCount})`);
-            }
-        });
+function getCoverageDefault(shiftCode) {
+    const preset = AppState.coveragePreset;
+    if (preset === '24_7') return 1;
+    if (preset === '8x5') return shiftCode === 'D' ? 1 : 0;
+    if (preset === '12x7') return ['D', 'N'].includes(shiftCode) ? 1 : 0;
+    return 1; // custom
+}
 
-        // Update consecutive days
-        allEmployees.forEach(emp => {
-            if (schedule[emp.id][d] && !['LEAVE', 'TAD'].includes(schedule[emp.id][d])) {
-                consecutiveDays[emp.id]++;
-            } else {
-                consecutiveDays[emp.id] = 0;
-            }
-        });
+// Headcount per weekday (indexed like Date.getDay()). Shifts without an edited
+// matrix follow their flat coverage or the preset, with 8x5 closing weekends.
+function getWeekdayCoverage(shift) {
+    if (Array.isArray(shift.coverageByWeekday) && shift.coverageByWeekday.length === 7) {
+        return shift.coverageByWeekday;
     }
+    return getPresetWeekdayCoverage(shift);
+}
 
-    // Optionally assign backup shifts to those with low counts (only on working days per rotation)
-    const backupShift = AppState.shifts.find(s => s.type === 'backup');
-    if (backupShift) {
-        const targetShifts = AppState.constraints.targetShiftsPerPerson;
+function getPresetWeekdayCoverage(shift) {
+    const coverage = shift.coverage !== undefined ? shift.coverage : getCoverageDefault(shift.code);
+    return [0, 1, 2, 3, 4, 5, 6].map(wd => {
+        const isWeekend = wd === 0 || wd === 6;
+        return AppState.coveragePreset === '8x5' && isWeekend ? 0 : coverage;
+    });
+}
 
-        for (let d = 0; d < numDays; d++) {
-            allEmployees.forEach(emp => {
-                // Only assign backup on days the employee should work (per rotation pattern)
-                if (schedule[emp.id][d] === null && shouldWorkOnDay(emp.id, d) && shiftCounts[emp.id].total < targetShifts * 0.8) {
-                    if (seededRandom(seed++) < 0.3) {
-                        schedule[emp.id][d] = backupShift.code;
-                        shiftCounts[emp.id].total++;
-                    }
-                }
-            });
+// Switching to a preset rebuilds the weekday matrix from it; Custom keeps the matrix as is
+function setCoveragePreset(preset) {
+    const previous = AppState.coveragePreset;
+    AppState.coveragePreset = preset;
+    if (preset !== 'custom') {
+        const edited = AppState.shifts.filter(shift => shift.type === 'working' && Array.isArray(shift.coverageByWeekday));
+        const customised = edited.some(shift =>
+            getPresetWeekdayCoverage(shift).some((count, wd) => count !== shift.coverageByWeekday[wd]));
+        if (customised && !confirm('Replace the edited weekday coverage with this preset?')) {
+            AppState.coveragePreset = previous;
+            document.getElementById('coveragePreset').value = previous;
+            return;
         }
+        edited.forEach(shift => delete shift.coverageByWeekday);
     }
+    renderCoverageGrid();
+    saveToStorage();
+    revalidateSchedule();
+}
 
-    // Optionally assign admin shifts (on working days per rotation)
-    const adminShift = AppState.shifts.find(s => s.type === 'admin');
-    if (adminShift) {
-        for (let d = 0; d < numDays; d++) {
-            allEmployees.forEach(emp => {
-                // Only assign admin on days the employee should work (per rotation pattern)
-                if (schedule[emp.id][d] === null && shouldWorkOnDay(emp.id, d)) {
-                    if (seededRandom(seed++) < 0.15) {
-                        schedule[emp.id][d] = adminShift.code;
-                    }
-                }
-            });
-        }
+function updateShiftWeekdayCoverage(code, weekday, value) {
+    const shift = AppState.shifts.find(s => s.code === code);
+    if (shift) {
+        shift.coverageByWeekday = getWeekdayCoverage(shift).slice();
+        shift.coverageByWeekday[weekday] = Math.max(0, parseInt(value) || 0);
+        renderCoverageGrid();
+        saveToStorage();
+        revalidateSchedule();
     }
+}
 
-    // Check for constraint violations
-    allEmployees.forEach(emp => {
-        let consecutive = 0;
-        let maxConsec = 0;
-        for (let d = 0; d < numDays; d++) {
-            if (schedule[emp.id][d] && !['LEAVE', 'TAD'].includes(schedule[emp.id][d])) {
-                consecutive++;
-                maxConsec = Math.max(maxConsec, consecutive);
-            } else {
-                consecutive = 0;
-            }
-        }
-        if (maxConsec > AppState.constraints.maxConsecutiveDays) {
-            AppState.warnings.push(`${emp.name}: ${maxConsec} consecutive days (max ${AppState.constraints.maxConsecutiveDays})`);
-        }
-    });
+// Set the same headcount for every weekday
+function updateShiftCoverage(code, value) {
+    const shift = AppState.shifts.find(s => s.code === code);
+    if (shift && value !== '') {
+        shift.coverage = Math.max(0, parseInt(value) || 0);
+        shift.coverageByWeekday = new Array(7).fill(shift.coverage);
+        renderCoverageGrid();
+        saveToStorage();
+        revalidateSchedule();
+    }
+}
 
-    AppState.schedule = schedule;
-    AppState.shiftCounts = shiftCounts;
-    saveToStorage();
-    renderSchedule();
-    if (typeof umami !== 'undefined') umami.track('schedule-generated', { industry: AppState.industry, employees: getTotalEmployeeCount() });
+// Date-specific override for a shift, if any
+function getCoverageOverride(dateStr, shiftCode) {
+    return (AppState.coverageOverrides || []).find(o => o.date === dateStr && o.shiftCode === shiftCode) || null;
 }
 
-// ============================================
-// SCHEDULE RENDERING
-// ============================================
+function renderCoverageOverrides() {
+    const container = document.getElementById('coverageOverridesList');
+    container.innerHTML = '';
 
-function renderSchedule() {
-    if (!AppState.schedule) return;
+    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
+    const overrides = AppState.coverageOverrides || [];
 
-    const numDays = getDaysInPeriod();
-    const output = document.getElementById('scheduleOutput');
+    if (overrides.length === 0) {
+        container.innerHTML = '<div class="unavail-empty">No date overrides. Weekday coverage applies to every date.</div>';
+        return;
+    }
 
-    // Enable export buttons
-    document.getElementById('exportCsvBtn').disabled = false;
-    document.getElementById('printBtn').disabled = false;
-    document.getElementById('swapBtn').disabled = false;
+    overrides.forEach((override, index) => {
+        let shiftOptions = '';
+        workingShifts.forEach(shift => {
+            shiftOptions += `<option value="${esc(shift.code)}" ${shift.code === override.shiftCode ? 'selected' : ''}>${esc(shift.code)}</option>`;
+        });
 
-    // Build header info
-    let periodText = '';
-    if (AppState.calendarStyle === 'monthly') {
-        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'];
-        periodText = `${monthNames[AppState.month]} ${AppState.year}`;
-    } else {
-        const start = new Date(AppState.startDate);
-        const end = new Date(start.getTime() + (AppState.duration - 1) * 24 * 60 * 60 * 1000);
-        periodText = `${start.toLocaleDateString()} - ${end.toLocaleDateString()}`;
-    }
+        const item = document.createElement('div');
+        item.className = 'unavail-item';
+        item.innerHTML = `
+            <input type="date" value="${esc(override.date || '')}" onchange="updateCoverageOverride(${index}, 'date', this.value)">
+            <select onchange="updateCoverageOverride(${index}, 'shiftCode', this.value)">${shiftOptions}</select>
+            <input type="number" min="0" max="99" value="${override.count}" onchange="updateCoverageOverride(${index}, 'count', this.value)">
+            <input type="text" value="${esc(override.note || '')}" placeholder="Note" onchange="updateCoverageOverride(${index}, 'note', this.value)">
+            <button class="btn btn-sm btn-outline" onclick="deleteCoverageOverride(${index})">×</button>
+        `;
+        container.appendChild(item);
+    });
+}
 
-    // Get shift codes that have totals (working shifts)
+function addCoverageOverride() {
     const workingShifts = AppState.shifts.filter(s => s.type === 'working');
-    const backupShift = AppState.shifts.find(s => s.type === 'backup');
-
-    // Build table HTML
-    let html = `
+    if (workingShifts.length === 0) {
+        alert('Add a working shift first.');
+        return;
+    }
+    if (!AppState.coverageOverrides) AppState.coverageOverrides = [];
+    AppState.coverageOverrides.push({
+        date: formatDateStr(getDateForDay(0)),
+        shiftCode: workingShifts[0].code,
+        count: getWeekdayCoverage(workingShifts[0])[getDateForDay(0).getDay()],
+        note: ''
+    });
+    renderCoverageOverrides();
+    saveToStorage();
+    revalidateSchedule();
+}
+
+function updateCoverageOverride(index, field, value) {
+    const override = AppState.coverageOverrides[index];
+    override[field] = field === 'count' ? Math.max(0, parseInt(value) || 0) : value;
+    saveToStorage();
+    revalidateSchedule();
+}
+
+function deleteCoverageOverride(index) {
+    AppState.coverageOverrides.splice(index, 1);
+    renderCoverageOverrides();
+    saveToStorage();
+    revalidateSchedule();
+}
+
+// ============================================
+// HOLIDAY CALENDAR
+// ============================================
+// Public holidays come from a built-in regional calendar (AppState.holidayRegion) plus the
+// user's own (AppState.holidays). They are highlighted in the roster headers, staffed like
+// Sundays unless holidayCoverage is 'weekday' (so 8x5 closes on them), and counted in the
+// holiday fairness totals.
+
+// Rules: { month, day } a fixed date; { month, weekday, nth } the nth weekday of the month
+// (-1 = last); { month, weekday, before } the last such weekday before a day of the month;
+// { easter } days from Easter Sunday. { fridayDay } makes that day of the month the holiday
+// instead whenever it falls on a Friday (Ireland's St Brigid's Day). Holidays falling on a
+// weekend get a substitute day in regions that have one: 'nearest' moves Saturday to Friday
+// and Sunday to Monday, 'next' takes the next weekday that isn't already a holiday.
+const HOLIDAY_REGIONS = {
+    us: {
+        label: 'United States (federal)',
+        substitute: 'nearest',
+        holidays: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3 },
+            { name: "Washington's Birthday", month: 2, weekday: 1, nth: 3 },
+            { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+            { name: 'Juneteenth', month: 6, day: 19 },
+            { name: 'Independence Day', month: 7, day: 4 },
+            { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+            { name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+            { name: 'Veterans Day', month: 11, day: 11 },
+            { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+            { name: 'Christmas Day', month: 12, day: 25 }
+        ]
+    },
+    ca: {
+        label: 'Canada (federal)',
+        substitute: 'next',
+        holidays: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Victoria Day', month: 5, weekday: 1, before: 25 },
+            { name: 'Canada Day', month: 7, day: 1 },
+            { name: 'Labour Day', month: 9, weekday: 1, nth: 1 },
+            { name: 'National Day for Truth and Reconciliation', month: 9, day: 30 },
+            { name: 'Thanksgiving', month: 10, weekday: 1, nth: 2 },
+            { name: 'Remembrance Day', month: 11, day: 11 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Boxing Day', month: 12, day: 26 }
+        ]
+    },
+    'gb-eng': {
+        label: 'England & Wales',
+        substitute: 'next',
+        holidays: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Early May bank holiday', month: 5, weekday: 1, nth: 1 },
+            { name: 'Spring bank holiday', month: 5, weekday: 1, nth: -1 },
+            { name: 'Summer bank holiday', month: 8, weekday: 1, nth: -1 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Boxing Day', month: 12, day: 26 }
+        ]
+    },
+    ie: {
+        label: 'Ireland',
+        substitute: 'next',
+        holidays: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: "St Brigid's Day", month: 2, weekday: 1, nth: 1, fridayDay: 1 },
+            { name: "St Patrick's Day", month: 3, day: 17 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'May bank holiday', month: 5, weekday: 1, nth: 1 },
+            { name: 'June bank holiday', month: 6, weekday: 1, nth: 1 },
+            { name: 'August bank holiday', month: 8, weekday: 1, nth: 1 },
+            { name: 'October bank holiday', month: 10, weekday: 1, nth: -1 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: "St Stephen's Day", month: 12, day: 26 }
+        ]
+    },
+    au: {
+        label: 'Australia (national)',
+        substitute: 'next',
+        holidays: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Australia Day', month: 1, day: 26 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Anzac Day', month: 4, day: 25, substitute: false },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Boxing Day', month: 12, day: 26 }
+        ]
+    },
+    de: {
+        label: 'Germany (national)',
+        substitute: null,
+        holidays: [
+            { name: 'Neujahr', month: 1, day: 1 },
+            { name: 'Karfreitag', easter: -2 },
+            { name: 'Ostermontag', easter: 1 },
+            { name: 'Tag der Arbeit', month: 5, day: 1 },
+            { name: 'Christi Himmelfahrt', easter: 39 },
+            { name: 'Pfingstmontag', easter: 50 },
+            { name: 'Tag der Deutschen Einheit', month: 10, day: 3 },
+            { name: '1. Weihnachtstag', month: 12, day: 25 },
+            { name: '2. Weihnachtstag', month: 12, day: 26 }
+        ]
+    }
+};
+
+// regionHolidayCache['us:2025'] = { 'YYYY-MM-DD': name }
+const regionHolidayCache = {};
+
+// Easter Sunday in the Gregorian calendar (anonymous Gregorian algorithm)
+function getEasterDate(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const h = (19 * a + b - Math.floor(b / 4) - Math.floor((b - Math.floor((b + 8) / 25) + 1) / 3) + 15) % 30;
+    const l = (32 + 2 * (b % 4) + 2 * Math.floor(c / 4) - h - c % 4) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const n = h + l - 7 * m + 114;
+    return new Date(year, Math.floor(n / 31) - 1, n % 31 + 1);
+}
+
+function resolveHolidayRule(rule, year) {
+    if (rule.fridayDay !== undefined) {
+        const date = new Date(year, rule.month - 1, rule.fridayDay);
+        if (date.getDay() === 5) return date;
+    }
+    if (rule.easter !== undefined) {
+        const easter = getEasterDate(year);
+        return new Date(year, easter.getMonth(), easter.getDate() + rule.easter);
+    }
+    if (rule.day !== undefined) return new Date(year, rule.month - 1, rule.day);
+    if (rule.before !== undefined) {
+        const dayBefore = new Date(year, rule.month - 1, rule.before - 1);
+        return new Date(year, rule.month - 1, rule.before - 1 - (dayBefore.getDay() - rule.weekday + 7) % 7);
+    }
+    if (rule.nth > 0) {
+        const first = new Date(year, rule.month - 1, 1);
+        return new Date(year, rule.month - 1, 1 + (rule.weekday - first.getDay() + 7) % 7 + (rule.nth - 1) * 7);
+    }
+    const last = new Date(year, rule.month, 0);
+    return new Date(year, rule.month - 1, last.getDate() - (last.getDay() - rule.weekday + 7) % 7);
+}
+
+// A region's holidays for one year (substitute days included) as { dateStr: name }
+function getRegionHolidays(regionKey, year) {
+    const cacheKey = `${regionKey}:${year}`;
+    if (regionHolidayCache[cacheKey]) return regionHolidayCache[cacheKey];
+
+    const region = HOLIDAY_REGIONS[regionKey];
+    const holidays = {};
+    if (region) {
+        const dated = region.holidays.map(rule => ({ rule, date: resolveHolidayRule(rule, year) }));
+        dated.forEach(({ rule, date }) => { holidays[formatDateStr(date)] = rule.name; });
+
+        // In date order, so Christmas takes the first free weekday before Boxing Day does
+        dated.sort((a, b) => a.date - b.date).forEach(({ rule, date }) => {
+            if (!region.substitute || rule.substitute === false || !isWeekendDate(date)) return;
+            const substitute = new Date(date);
+            if (region.substitute === 'nearest') {
+                substitute.setDate(date.getDate() + (date.getDay() === 6 ? -1 : 1));
+            } else {
+                do {
+                    substitute.setDate(substitute.getDate() + 1);
+                } while (isWeekendDate(substitute) || holidays[formatDateStr(substitute)]);
+            }
+            holidays[formatDateStr(substitute)] = `${rule.name} (observed)`;
+        });
+    }
+    regionHolidayCache[cacheKey] = holidays;
+    return holidays;
+}
+
+// The holiday on a date as { name, custom }, or null. User-defined holidays win over the
+// region's; yearly ones match the same day and month in any year.
+function getHoliday(dateStr) {
+    if (!dateStr) return null;
+    const custom = (AppState.holidays || []).find(h => h.date && (h.date === dateStr || (h.yearly && h.date.slice(5) === dateStr.slice(5))));
+    if (custom) return { name: custom.name || 'Holiday', custom: true };
+    if (!AppState.holidayRegion) return null;
+
+    // A substitute for New Year's Day can fall on the last day of the year before
+    const year = parseInt(dateStr.slice(0, 4));
+    const name = getRegionHolidays(AppState.holidayRegion, year)[dateStr] || getRegionHolidays(AppState.holidayRegion, year + 1)[dateStr];
+    return name ? { name, custom: false } : null;
+}
+
+function isHolidayDate(dateStr) {
+    return !!getHoliday(dateStr);
+}
+
+// Class and tooltip for a day's roster header cells
+function getDayHeaderAttrs(date) {
+    const holiday = getHoliday(formatDateStr(date));
+    const classes = [];
+    if (isWeekendDate(date)) classes.push('weekend');
+    if (holiday) classes.push('holiday');
+    return `class="${classes.join(' ')}"${holiday ? ` title="${esc(holiday.name)}"` : ''}`;
+}
+
+// Column of the weekday coverage matrix (Date.getDay() index) that staffs a date
+function getCoverageWeekday(date) {
+    if (AppState.holidayCoverage !== 'weekday' && isHolidayDate(formatDateStr(date))) return 0;
+    return date.getDay();
+}
+
+function renderHolidaySettings() {
+    const select = document.getElementById('holidayRegion');
+    select.innerHTML = '<option value="">None</option>' + Object.keys(HOLIDAY_REGIONS)
+        .map(key => `<option value="${key}">${esc(HOLIDAY_REGIONS[key].label)}</option>`).join('');
+    select.value = AppState.holidayRegion || '';
+    document.getElementById('holidayCoverage').value = AppState.holidayCoverage || 'sunday';
+    renderCustomHolidays();
+    renderPeriodHolidays();
+}
+
+function renderCustomHolidays() {
+    const container = document.getElementById('customHolidaysList');
+    const holidays = AppState.holidays || [];
+
+    if (holidays.length === 0) {
+        container.innerHTML = '<div class="unavail-empty">No custom holidays.</div>';
+        return;
+    }
+
+    container.innerHTML = holidays.map((holiday, index) => `
+        <div class="unavail-item">
+            <input type="date" value="${esc(holiday.date || '')}" onchange="updateCustomHoliday(${index}, 'date', this.value)">
+            <input type="text" value="${esc(holiday.name || '')}" placeholder="Name" onchange="updateCustomHoliday(${index}, 'name', this.value)">
+            <label class="checkbox-label" title="Repeat on this day every year">
+                <input type="checkbox" ${holiday.yearly ? 'checked' : ''} onchange="updateCustomHoliday(${index}, 'yearly', this.checked)"> Yearly
+            </label>
+            <button class="btn btn-sm btn-outline" onclick="deleteCustomHoliday(${index})">×</button>
+        </div>
+    `).join('');
+}
+
+// Holidays that fall in the period on screen
+function renderPeriodHolidays() {
+    const { startDate, numDays } = getPeriodBounds();
+    const found = [];
+    for (let d = 0; startDate && d < numDays; d++) {
+        const date = getDateForDay(d);
+        const holiday = getHoliday(formatDateStr(date));
+        if (holiday) found.push(`${MONTH_NAMES[date.getMonth()].slice(0, 3)} ${date.getDate()} ${holiday.name}`);
+    }
+    document.getElementById('periodHolidays').textContent = found.length > 0
+        ? `This period: ${found.join(', ')}`
+        : 'No holidays in this period.';
+}
+
+function addCustomHoliday() {
+    if (!AppState.holidays) AppState.holidays = [];
+    AppState.holidays.push({ date: getPeriodBounds().startDate || '', name: '', yearly: false });
+    renderCustomHolidays();
+    renderPeriodHolidays();
+    saveToStorage();
+    revalidateSchedule();
+}
+
+function updateCustomHoliday(index, field, value) {
+    AppState.holidays[index][field] = value;
+    renderPeriodHolidays();
+    saveToStorage();
+    revalidateSchedule();
+}
+
+function deleteCustomHoliday(index) {
+    AppState.holidays.splice(index, 1);
+    renderCustomHolidays();
+    renderPeriodHolidays();
+    saveToStorage();
+    revalidateSchedule();
+}
+
+// ============================================
+// SCHEDULE GENERATION
+// ============================================
+
+function getDaysInPeriod() {
+    if (AppState.calendarStyle === 'monthly') {
+        return new Date(AppState.year, AppState.month + 1, 0).getDate();
+    } else {
+        return AppState.duration;
+    }
+}
+
+function getDateForDay(dayIndex) {
+    if (AppState.calendarStyle === 'monthly') {
+        return new Date(AppState.year, AppState.month, dayIndex + 1);
+    } else {
+        const start = parseLocalDate(AppState.startDate);
+        return new Date(start.getTime() + dayIndex * 24 * 60 * 60 * 1000);
+    }
+}
+
+// Parse a date string (YYYY-MM-DD) as local time, not UTC
+function parseLocalDate(dateStr) {
+    if (!dateStr) return null;
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Format a date as YYYY-MM-DD string for comparison
+function formatDateStr(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// Map of shift code -> shift, built once per pass instead of searching AppState.shifts per cell
+function buildShiftLookup() {
+    const lookup = {};
+    AppState.shifts.forEach(shift => {
+        lookup[shift.code] = shift;
+    });
+    return lookup;
+}
+
+// Parse "HH:MM" into minutes after midnight (null if not set).
+// Memoized: rest and hour checks call this for every candidate cell.
+const parsedTimes = {};
+
+function parseTimeToMinutes(timeStr) {
+    if (!timeStr) return null;
+    if (timeStr in parsedTimes) return parsedTimes[timeStr];
+    const [h, m] = timeStr.split(':').map(Number);
+    parsedTimes[timeStr] = isNaN(h) || isNaN(m) ? null : h * 60 + m;
+    return parsedTimes[timeStr];
+}
+
+// Absolute start/end of a shift in minutes from the start of the period.
+// Shifts ending at or before their start time run past midnight (E 14:00-00:00, N 20:00-06:00).
+// Returns null for shifts without fixed times (backup, admin, absences).
+function getShiftWindow(shift, dayIndex) {
+    if (!shift) return null;
+    const start = parseTimeToMinutes(shift.start);
+    const end = parseTimeToMinutes(shift.end);
+    if (start === null || end === null) return null;
+
+    let duration = end - start;
+    if (duration <= 0) duration += 24 * 60;
+
+    const absStart = dayIndex * 24 * 60 + start;
+    return { start: absStart, end: absStart + duration };
+}
+
+// How far either side of a day a shift can still affect rest (24h shifts + 24h rest window)
+const REST_LOOKAROUND_DAYS = 2;
+
+// Rest in hours between two shift windows (negative if they overlap)
+function getRestHoursBetween(earlier, later) {
+    return (later.start - earlier.end) / 60;
+}
+
+// Check whether placing shiftCode on dayIndex breaks minRestHours against
+// the employee's neighbouring shifts (including the previous period's tail in history).
+// Returns the offending neighbour or null.
+function findRestConflict(empSchedule, dayIndex, shiftCode, shiftLookup = buildShiftLookup(), history = []) {
+    const shift = shiftLookup[shiftCode];
+    const window = getShiftWindow(shift, dayIndex);
+    if (!window) return null;
+
+    const minRest = AppState.constraints.minRestHours;
+
+    for (let offset = -REST_LOOKAROUND_DAYS; offset <= REST_LOOKAROUND_DAYS; offset++) {
+        if (offset === 0) continue;
+        const otherDay = dayIndex + offset;
+        if (otherDay < -history.length || otherDay >= empSchedule.length) continue;
+
+        const otherShift = shiftLookup[getCodeOnDay(empSchedule, history, otherDay)];
+        const otherWindow = getShiftWindow(otherShift, otherDay);
+        if (!otherWindow) continue;
+
+        const rest = offset < 0
+            ? getRestHoursBetween(otherWindow, window)
+            : getRestHoursBetween(window, otherWindow);
+        if (rest < minRest) {
+            return { dayIndex: otherDay, shiftCode: otherShift.code, restHours: rest };
+        }
+    }
+    return null;
+}
+
+// Rest violations in one employee's row; each issue marks the shifts involved in this period
+function findRestIssues(emp, empSchedule, shiftLookup = buildShiftLookup(), history = []) {
+    const issues = [];
+    const minRest = AppState.constraints.minRestHours;
+
+    let prev = null;
+    for (let d = -history.length; d < empSchedule.length; d++) {
+        const shift = shiftLookup[getCodeOnDay(empSchedule, history, d)];
+        const window = getShiftWindow(shift, d);
+        if (!window) continue;
+
+        if (prev) {
+            const rest = getRestHoursBetween(prev.window, window);
+            if (rest < minRest && d >= 0) {
+                const restText = rest < 0 ? 'overlapping shifts' : `${Math.round(rest * 10) / 10}h rest`;
+                issues.push({
+                    days: [prev.day, d].filter(day => day >= 0),
+                    message: `${emp.name}: ${prev.code} (${formatDayLabel(prev.day)}) → ${shift.code} (${formatDayLabel(d)}) has ${restText} (min ${minRest}h)`
+                });
+            }
+        }
+        prev = { window, code: shift.code, day: d };
+    }
+
+    return issues;
+}
+
+// Paid hours for a shift code (0 for untimed shifts; absences count only if they count as worked)
+function getShiftHours(shiftCode, shiftLookup = buildShiftLookup()) {
+    const window = getShiftWindow(shiftLookup[shiftCode], 0);
+    return window ? (window.end - window.start) / 60 : getAbsenceHours(shiftCode);
+}
+
+// Day ranges [from, to] (inclusive) whose hours are capped by maxHoursWeek and that include dayIndex.
+// firstDay < 0 lets windows reach back into the previous period's history.
+function getWeeklyWindowsForDay(dayIndex, numDays, firstDay = 0) {
+    if (AppState.constraints.weeklyHoursMode === 'calendar') {
+        // Calendar weeks run Monday to Sunday
+        const weekday = (getDateForDay(dayIndex).getDay() + 6) % 7;
+        const from = Math.max(firstDay, dayIndex - weekday);
+        return [[from, Math.min(numDays - 1, dayIndex - weekday + 6)]];
+    }
+
+    const windows = [];
+    for (let from = Math.max(firstDay, dayIndex - 6); from <= dayIndex; from++) {
+        windows.push([from, Math.min(numDays - 1, from + 6)]);
+    }
+    return windows;
+}
+
+// Would assigning shiftCode on dayIndex push any weekly window over maxHoursWeek?
+function exceedsWeeklyHours(empSchedule, dayIndex, shiftCode, shiftLookup = buildShiftLookup(), history = []) {
+    const extra = getShiftHours(shiftCode, shiftLookup) - (empSchedule[dayIndex] ? getShiftHours(empSchedule[dayIndex], shiftLookup) : 0);
+    if (extra <= 0) return false;
+
+    const maxHours = AppState.constraints.maxHoursWeek;
+    const windows = getWeeklyWindowsForDay(dayIndex, empSchedule.length, -Math.min(6, history.length));
+
+    // Look up each day's hours once; rolling windows overlap heavily
+    const first = windows[0][0];
+    const last = Math.max(...windows.map(w => w[1]));
+    const dayHours = {};
+    for (let d = first; d <= last; d++) {
+        const code = getCodeOnDay(empSchedule, history, d);
+        dayHours[d] = code ? getShiftHours(code, shiftLookup) : 0;
+    }
+
+    return windows.some(([from, to]) => {
+        let hours = extra;
+        for (let d = from; d <= to; d++) hours += dayHours[d];
+        return hours > maxHours;
+    });
+}
+
+// Weekly hour overruns in one employee's row: worst rolling window, or every calendar
+// week over the cap. Each issue marks the timed shifts inside the window in this period.
+function findWeeklyHourIssues(emp, empSchedule, shiftLookup = buildShiftLookup(), history = []) {
+    const issues = [];
+    const maxHours = AppState.constraints.maxHoursWeek;
+    const numDays = empSchedule.length;
+    const lead = Math.min(6, history.length);
+
+    // prefixHours[d + lead] = hours worked before day d, so any window sums in O(1)
+    const prefixHours = [0];
+    for (let d = -lead; d < numDays; d++) {
+        const code = getCodeOnDay(empSchedule, history, d);
+        prefixHours.push(prefixHours[d + lead] + (code ? getShiftHours(code, shiftLookup) : 0));
+    }
+    const hoursInRange = (from, to) => prefixHours[to + lead + 1] - prefixHours[from + lead];
+    const workedDays = (from, to) => {
+        const days = [];
+        for (let d = Math.max(0, from); d <= to; d++) {
+            if (hoursInRange(d, d) > 0) days.push(d);
+        }
+        return days;
+    };
+
+    if (AppState.constraints.weeklyHoursMode === 'calendar') {
+        let d = 0;
+        while (d < numDays) {
+            const [from, to] = getWeeklyWindowsForDay(d, numDays, -lead)[0];
+            const hours = hoursInRange(from, to);
+            if (hours > maxHours) {
+                issues.push({
+                    days: workedDays(from, to),
+                    message: `${emp.name}: ${hours}h in week of ${formatDayLabel(from)} to ${formatDayLabel(to)} (max ${maxHours}h)`
+                });
+            }
+            d = to + 1;
+        }
+    } else {
+        let worst = null;
+        for (let from = -lead; from < numDays; from++) {
+            const to = Math.min(numDays - 1, from + 6);
+            const hours = hoursInRange(from, to);
+            if (hours > maxHours && (!worst || hours > worst.hours)) {
+                worst = { from, to, hours };
+            }
+        }
+        if (worst) {
+            issues.push({
+                days: workedDays(worst.from, worst.to),
+                message: `${emp.name}: ${worst.hours}h in 7 days from ${formatDayLabel(worst.from)} (max ${maxHours}h)`
+            });
+        }
+    }
+
+    return issues;
+}
+
+// Required headcount for a shift on a given day: date override, else weekday matrix
+// (holidays use the Sunday column, see getCoverageWeekday)
+function getRequiredCoverage(shift, dayIndex) {
+    const date = getDateForDay(dayIndex);
+    const override = getCoverageOverride(formatDateStr(date), shift.code);
+    if (override) return override.count;
+    return getWeekdayCoverage(shift)[getCoverageWeekday(date)];
+}
+
+// counts[dayIndex][shiftCode] = people on that shift, in one pass over the roster
+function countShiftsByDay(schedule, numDays) {
+    const counts = Array.from({ length: numDays }, () => ({}));
+    Object.keys(schedule).forEach(empId => {
+        const empSchedule = schedule[empId];
+        for (let d = 0; d < numDays; d++) {
+            const code = empSchedule[d];
+            if (code) counts[d][code] = (counts[d][code] || 0) + 1;
+        }
+    });
+    return counts;
+}
+
+function generateSchedule() {
+    if (archiveView) return;
+    AppState.randomSeed = Date.now();
+    runScheduler();
+}
+
+function regenerateSchedule() {
+    if (archiveView) return;
+    AppState.randomSeed = Date.now() + Math.random() * 1000000;
+    runScheduler();
+    if (typeof umami !== 'undefined') umami.track('schedule-regenerated');
+}
+
+// Simple seeded random
+function seededRandom(seed) {
+    const x = Math.sin(seed++) * 10000;
+    return x - Math.floor(x);
+}
+
+function runScheduler() {
+    if (swapMode) exitSwapMode();
+    const numDays = getDaysInPeriod();
+
+    // Flatten employees with group info
+    const allEmployees = [];
+    AppState.groups.forEach(group => {
+        group.employees.forEach(emp => {
+            allEmployees.push({
+                ...emp,
+                groupName: group.name
+            });
+        });
+    });
+
+    if (allEmployees.length === 0) {
+        alert('Please add at least one group with employees before generating a schedule.');
+        return;
+    }
+
+    // The previous period's tail is fixed history. Keep it before the saved schedule is replaced.
+    const periodHistory = getPeriodHistory();
+    if (periodHistory) AppState.periodHistory = periodHistory;
+    const historyRows = {};
+    allEmployees.forEach(emp => {
+        historyRows[emp.id] = (periodHistory && periodHistory.rows[emp.id]) || [];
+    });
+    const carryover = getCarryoverCounts(periodHistory, allEmployees);
+
+    // Initialize schedule: schedule[empId][dayIndex] = shiftCode or null
+    const schedule = {};
+    allEmployees.forEach(emp => {
+        schedule[emp.id] = new Array(numDays).fill(null);
+    });
+
+    // Date strings for each day, computed once
+    const dateStrs = [];
+    for (let d = 0; d < numDays; d++) {
+        dateStrs.push(formatDateStr(getDateForDay(d)));
+    }
+    const dayKinds = classifyDays(dateStrs);
+
+    // Pre-fill unavailability
+    allEmployees.forEach(emp => {
+        if (emp.unavailability && emp.unavailability.length > 0) {
+            emp.unavailability.forEach(unavail => {
+                if (!unavail.startDate) return;
+                const startStr = unavail.startDate;
+                const endStr = unavail.endDate || unavail.startDate;
+
+                for (let d = 0; d < numDays; d++) {
+                    const dateStr = dateStrs[d];
+                    // Compare as strings (YYYY-MM-DD format allows string comparison)
+                    if (dateStr >= startStr && dateStr <= endStr) {
+                        schedule[emp.id][d] = unavail.type;
+                    }
+                }
+            });
+        }
+    });
+
+    // Pre-fill pinned cells and pre-assigned shifts (they win over unavailability)
+    const pinned = {};
+    allEmployees.forEach(emp => {
+        pinned[emp.id] = getPinnedDays(emp, dateStrs);
+        pinned[emp.id].forEach((isPinned, d) => {
+            if (isPinned) schedule[emp.id][d] = getFixedShift(emp, dateStrs[d]).shiftCode;
+        });
+    });
+
+    // Get rotation pattern (if any)
+    const rotationPatternObj = getSelectedRotationPattern();
+    const rotationPattern = rotationPatternObj ? rotationPatternObj.pattern : null;
+
+    // If using a rotation pattern, assign each employee an offset for staggered coverage
+    const employeePatternOffsets = {};
+    if (rotationPattern) {
+        const cycleLength = rotationPattern.length;
+        const positions = periodHistory && periodHistory.rotationPattern === AppState.rotationPattern
+            ? periodHistory.rotationPositions
+            : {};
+        allEmployees.forEach((emp, index) => {
+            // Continue where the previous period left off; otherwise stagger employees
+            // across the pattern so different employees start at different points in the cycle
+            employeePatternOffsets[emp.id] = emp.id in positions
+                ? positions[emp.id]
+                : Math.floor((index * cycleLength) / allEmployees.length);
+        });
+    }
+
+    // Get working shifts sorted by priority (N > E > D > others)
+    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
+    const shiftPriority = { 'N': 1, 'E': 2, 'D': 3 };
+    workingShifts.sort((a, b) => (shiftPriority[a.code] || 10) - (shiftPriority[b.code] || 10));
+
+    // Each person's own target (contract FTE/hours, within min/max)
+    const targets = {};
+    allEmployees.forEach(emp => { targets[emp.id] = getTargetShifts(emp); });
+
+    // Track shift counts for fairness (pinned shifts count from the start)
+    const shiftLookup = buildShiftLookup();
+    const shiftCounts = {};
+    allEmployees.forEach(emp => {
+        shiftCounts[emp.id] = countFairnessShifts(schedule[emp.id], dayKinds, shiftLookup);
+    });
+
+    // Track consecutive days (a run at the end of the previous period carries on)
+    const consecutiveDays = {};
+    allEmployees.forEach(emp => {
+        consecutiveDays[emp.id] = countTrailingWorkDays(historyRows[emp.id]);
+    });
+
+    let seed = AppState.randomSeed;
+
+    // Helper function to check if employee should work on a given day based on rotation pattern
+    function shouldWorkOnDay(empId, dayIndex) {
+        if (!rotationPattern) return true; // No pattern = always available
+        const offset = employeePatternOffsets[empId] || 0;
+        const cycleLength = rotationPattern.length;
+        const positionInCycle = (dayIndex + offset) % cycleLength;
+        return rotationPattern[positionInCycle] === 1;
+    }
+
+    // Schedule day by day
+    for (let d = 0; d < numDays; d++) {
+        // For each shift type
+        workingShifts.forEach(shift => {
+            // Pinned assignments already cover part of the headcount
+            const assigned = allEmployees.filter(emp => schedule[emp.id][d] === shift.code);
+            const requiredCount = getRequiredCoverage(shift, d) - assigned.length;
+            if (requiredCount <= 0) return;
+
+            // Find available employees for this shift
+            let available = allEmployees.filter(emp => {
+                // Already assigned this day, or pinned off
+                if (schedule[emp.id][d] !== null || pinned[emp.id][d]) return false;
+
+                // Check rotation pattern - is this employee supposed to work today?
+                if (!shouldWorkOnDay(emp.id, d)) return false;
+
+                // Check required skills for this shift
+                if (!isQualifiedForShift(emp, shift)) return false;
+
+                // Check recurring unavailability (weekly/bi-weekly, possibly a time window)
+                if (findRecurringConflict(emp, d, shift.code, shiftLookup)) return false;
+
+                // Check the contract: allowed shift types and maximum shifts
+                if (!isShiftAllowedByContract(emp, shift.code)) return false;
+                if (emp.maxShifts > 0 && shiftCounts[emp.id].total >= emp.maxShifts) return false;
+
+                // Check rest constraint against neighbouring shifts (actual start/end times)
+                if (findRestConflict(schedule[emp.id], d, shift.code, shiftLookup, historyRows[emp.id])) {
+                    return false;
+                }
+
+                // Check consecutive days
+                if (consecutiveDays[emp.id] >= AppState.constraints.maxConsecutiveDays) {
+                    return false;
+                }
+
+                // Check weekly hours cap
+                if (exceedsWeeklyHours(schedule[emp.id], d, shift.code, shiftLookup, historyRows[emp.id])) {
+                    return false;
+                }
+
+                // Check weekends off
+                if (dayKinds[d].weekend && breaksWeekendRule(schedule[emp.id], d, shift.code, historyRows[emp.id], shiftLookup)) {
+                    return false;
+                }
+
+                return true;
+            });
+
+            // Sort by fairness (prefer those furthest below their target). Scores are computed
+            // once per candidate so large rosters don't pay for them on every comparison.
+            const fairnessScores = new Map();
+            available.forEach(emp => {
+                let score = shiftCounts[emp.id].total - targets[emp.id] + carryover[emp.id].total;
+
+                // Extra weight for night shifts
+                if (shift.code === 'N') {
+                    score += (shiftCounts[emp.id].night + carryover[emp.id].night) * 2;
+                }
+
+                // Weekends and holidays are shared out on their own
+                if (dayKinds[d].weekend) {
+                    score += (shiftCounts[emp.id].weekend + carryover[emp.id].weekend) * 2;
+                }
+                if (dayKinds[d].holiday) {
+                    score += (shiftCounts[emp.id].holiday + carryover[emp.id].holiday) * 3;
+                }
+
+                // Preferred/avoided shifts, preferred days off and dated requests
+                score += getPreferenceScore(emp, shift.code, d, dateStrs[d]);
+
+                // Add some randomness for variety
+                score += seededRandom(seed++) * 0.5;
+                fairnessScores.set(emp, score);
+            });
+            available.sort((a, b) => fairnessScores.get(a) - fairnessScores.get(b));
+
+            // Fill skill minimums first (in fairness order), then the remaining headcount
+            const selected = new Set();
+            (shift.skillMinimums || []).forEach(rule => {
+                let have = [...assigned, ...selected].filter(emp => employeeHasSkill(emp, rule.skill)).length;
+                for (let i = 0; i < available.length && have < rule.count; i++) {
+                    const emp = available[i];
+                    if (!selected.has(emp) && employeeHasSkill(emp, rule.skill)) {
+                        selected.add(emp);
+                        have++;
+                    }
+                }
+            });
+            for (let i = 0; i < available.length && selected.size < requiredCount; i++) {
+                selected.add(available[i]);
+            }
+
+            // Assign shifts up to required count (shortfalls are reported by validateSchedule)
+            selected.forEach(emp => {
+                schedule[emp.id][d] = shift.code;
+                shiftCounts[emp.id].total++;
+                if (shift.code === 'N') shiftCounts[emp.id].night++;
+                if (dayKinds[d].weekend) shiftCounts[emp.id].weekend++;
+                if (dayKinds[d].holiday) shiftCounts[emp.id].holiday++;
+            });
+        });
+
+        // Update consecutive days
+        allEmployees.forEach(emp => {
+            if (continuesStreak(schedule[emp.id][d])) {
+                consecutiveDays[emp.id]++;
+            } else {
+                consecutiveDays[emp.id] = 0;
+            }
+        });
+    }
+
+    // Which period the roster is for, taken now: in optimize mode it is published only when
+    // the worker finishes, and the settings on screen may have moved on by then
+    const schedulePeriod = {
+        ...getPeriodBounds(),
+        rotationPattern: rotationPattern ? AppState.rotationPattern : null,
+        rotationOffsets: employeePatternOffsets
+    };
+
+    // Fill backup/admin shifts and publish the roster
+    function completeSchedule() {
+        // Optionally assign backup shifts to those with low counts (only on working days per rotation)
+        const backupShift = AppState.shifts.find(s => s.type === 'backup');
+        if (backupShift) {
+            for (let d = 0; d < numDays; d++) {
+                allEmployees.forEach(emp => {
+                    // Only assign backup on days the employee should work (per rotation pattern)
+                    if (schedule[emp.id][d] === null && !pinned[emp.id][d] && shouldWorkOnDay(emp.id, d) && shiftCounts[emp.id].total < targets[emp.id] * 0.8
+                        && !findRecurringConflict(emp, d, backupShift.code, shiftLookup)) {
+                        if (seededRandom(seed++) < 0.3) {
+                            schedule[emp.id][d] = backupShift.code;
+                            shiftCounts[emp.id].total++;
+                        }
+                    }
+                });
+            }
+        }
+
+        // Optionally assign admin shifts (on working days per rotation)
+        const adminShift = AppState.shifts.find(s => s.type === 'admin');
+        if (adminShift) {
+            for (let d = 0; d < numDays; d++) {
+                allEmployees.forEach(emp => {
+                    // Only assign admin on days the employee should work (per rotation pattern)
+                    if (schedule[emp.id][d] === null && !pinned[emp.id][d] && shouldWorkOnDay(emp.id, d) && !findRecurringConflict(emp, d, adminShift.code, shiftLookup)) {
+                        if (seededRandom(seed++) < 0.15) {
+                            schedule[emp.id][d] = adminShift.code;
+                        }
+                    }
+                });
+            }
+        }
+
+        AppState.schedule = schedule;
+        AppState.shiftCounts = shiftCounts;
+        AppState.schedulePeriod = schedulePeriod;
+        saveToStorage();
+        renderPeriodHistoryStatus();
+        renderSchedule();
+        if (typeof umami !== 'undefined') umami.track('schedule-generated', { industry: AppState.industry, employees: getTotalEmployeeCount() });
+    }
+
+    // Optimize mode: the greedy roster is the starting point for a background search
+    if (AppState.schedulerMode === 'optimize') {
+        const problem = buildOptimizerProblem(schedule, allEmployees, workingShifts, shouldWorkOnDay, numDays, seed, dateStrs, dayKinds, historyRows, carryover, pinned);
+        runOptimizer(problem, (optimizedRows) => {
+            if (optimizedRows) {
+                allEmployees.forEach((emp, index) => {
+                    schedule[emp.id] = optimizedRows[index];
+                });
+                // Greedy counts no longer describe the roster
+                allEmployees.forEach(emp => {
+                    shiftCounts[emp.id] = countFairnessShifts(schedule[emp.id], dayKinds, shiftLookup);
+                });
+            }
+            completeSchedule();
+        });
+        return;
+    }
+
+    completeSchedule();
+}
+
+// ============================================
+// PERIOD CONTINUITY
+// ============================================
+// Rosters are generated one period at a time. To keep rest, consecutive-day, weekly-hour
+// and fairness rules honest across the boundary, the last PERIOD_HISTORY_DAYS of the
+// previous period are kept as fixed history:
+//   AppState.schedulePeriod = { startDate, numDays, rotationPattern, rotationOffsets }
+//     describes the saved schedule, so it can serve as history once the period moves on
+//   AppState.periodHistory = { source, endDate, rows, counts, rotationPattern, rotationPositions }
+//     is the tail itself, captured from the saved schedule or imported from a roster file
+// History is only used when it ends the day before the current period starts.
+
+const PERIOD_HISTORY_DAYS = 14;
+
+// Start date and length of a period (defaults to the current one)
+function getPeriodBounds(state = AppState) {
+    if (state.calendarStyle === 'monthly') {
+        return {
+            startDate: formatDateStr(new Date(state.year, state.month, 1)),
+            numDays: new Date(state.year, state.month + 1, 0).getDate()
+        };
+    }
+    return { startDate: state.startDate, numDays: state.duration };
+}
+
+function addDaysToDateStr(dateStr, days) {
+    const date = parseLocalDate(dateStr);
+    date.setDate(date.getDate() + days);
+    return formatDateStr(date);
+}
+
+// Day d of the period, or of the history tail for d < 0 (history[history.length - 1] is day -1)
+function getCodeOnDay(empSchedule, history, d) {
+    return d >= 0 ? empSchedule[d] : history[history.length + d];
+}
+
+function formatDayLabel(d) {
+    if (d >= 0) return `Day ${d + 1}`;
+    return `${-d} day${d === -1 ? '' : 's'} before the period`;
+}
+
+// Working days at the end of a row (empty days and streak-breaking absences end the run)
+function countTrailingWorkDays(row) {
+    let count = 0;
+    for (let i = row.length - 1; i >= 0 && continuesStreak(row[i]); i--) count++;
+    return count;
+}
+
+// Best-fitting rotation position for the day after a row, from its worked and free days
+function inferRotationPosition(row, pattern) {
+    let best = 0;
+    let bestMatches = -1;
+    for (let position = 0; position < pattern.length; position++) {
+        let matches = 0;
+        row.forEach((code, i) => {
+            const offsetFromEnd = i - row.length;
+            const index = ((position + offsetFromEnd) % pattern.length + pattern.length) % pattern.length;
+            const worked = continuesStreak(code);
+            if (worked === (pattern[index] === 1)) matches++;
+        });
+        if (matches > bestMatches) {
+            best = position;
+            bestMatches = matches;
+        }
+    }
+    return best;
+}
+
+// Tail, per-person shift totals and rotation positions from a whole roster.
+// period.rotationOffsets (when the roster was generated here) give exact positions;
+// otherwise they are inferred from the worked days.
+function buildPeriodHistory(schedule, period, source) {
+    const patternObj = getSelectedRotationPattern();
+    const pattern = patternObj ? patternObj.pattern : null;
+    const knownOffsets = period.rotationPattern === AppState.rotationPattern ? period.rotationOffsets || {} : {};
+    const shiftLookup = buildShiftLookup();
+    const dayKinds = classifyDays(Array.from({ length: period.numDays }, (_, i) => addDaysToDateStr(period.startDate, i)));
+    const history = {
+        source,
+        endDate: addDaysToDateStr(period.startDate, period.numDays - 1),
+        rows: {},
+        counts: {},
+        rotationPattern: pattern ? AppState.rotationPattern : null,
+        rotationPositions: {}
+    };
+
+    Object.keys(schedule).forEach(empId => {
+        const row = schedule[empId].slice(0, period.numDays);
+        while (row.length < period.numDays) row.push(null);
+        history.rows[empId] = row.slice(-PERIOD_HISTORY_DAYS);
+
+        history.counts[empId] = countFairnessShifts(row, dayKinds, shiftLookup);
+
+        if (pattern) {
+            history.rotationPositions[empId] = empId in knownOffsets
+                ? (knownOffsets[empId] + period.numDays) % pattern.length
+                : inferRotationPosition(history.rows[empId], pattern);
+        }
+    });
+    return history;
+}
+
+// History that applies to the current period: an imported or captured tail that ends the day
+// before it starts, else the saved schedule if that is the previous period. Null if neither.
+function getPeriodHistory() {
+    const { startDate } = getPeriodBounds();
+    if (!startDate) return null;
+    const dayBefore = addDaysToDateStr(startDate, -1);
+
+    if (AppState.periodHistory && AppState.periodHistory.endDate === dayBefore) {
+        return AppState.periodHistory;
+    }
+    const period = AppState.schedulePeriod;
+    if (AppState.schedule && period && period.startDate && addDaysToDateStr(period.startDate, period.numDays - 1) === dayBefore) {
+        return buildPeriodHistory(AppState.schedule, period, 'saved');
+    }
+    return null;
+}
+
+// Previous-period shift totals as deviations from the team average, so people who
+// worked more last period are picked a little less this time (newcomers start at 0).
+// Histories saved before weekend/holiday counts existed count those as 0.
+function getCarryoverCounts(history, employees) {
+    const keys = ['total', 'night', 'weekend', 'holiday'];
+    const carryover = {};
+    employees.forEach(emp => { carryover[emp.id] = { total: 0, night: 0, weekend: 0, holiday: 0 }; });
+    if (!history) return carryover;
+
+    const known = employees.filter(emp => history.counts[emp.id]);
+    if (known.length === 0) return carryover;
+    keys.forEach(key => {
+        const count = (emp) => history.counts[emp.id][key] || 0;
+        const mean = known.reduce((sum, emp) => sum + count(emp), 0) / known.length;
+        known.forEach(emp => { carryover[emp.id][key] = count(emp) - mean; });
+    });
+    return carryover;
+}
+
+// Saved schedules without a recorded period predate continuity and are taken to be current
+function isScheduleForCurrentPeriod() {
+    const period = AppState.schedulePeriod;
+    return !period || period.startDate === getPeriodBounds().startDate;
+}
+
+function renderPeriodHistoryStatus() {
+    const status = document.getElementById('periodHistoryStatus');
+    const history = getPeriodHistory();
+    const stored = AppState.periodHistory;
+
+    if (history) {
+        const sourceText = history.source === 'import' ? 'an imported roster' : 'the saved roster';
+        status.textContent = `Continues from ${sourceText} ending ${history.endDate}: rest, consecutive days, weekly hours, fairness and rotation carry over.`;
+    } else if (stored) {
+        status.textContent = `The stored previous roster ends ${stored.endDate}, not the day before this period, so it is not used.`;
+    } else {
+        status.textContent = 'No previous roster for this period; counts start fresh on day 1.';
+    }
+    document.getElementById('clearPeriodHistoryBtn').disabled = !stored;
+}
+
+function openPeriodHistoryImport() {
+    const input = document.getElementById('importPeriodHistoryFile');
+    input.value = '';
+    input.click();
+}
+
+// A roster exported with Export CSV/JSON becomes the previous period's history. CSV files
+// carry no dates, so they are taken to end the day before the current period.
+function handlePeriodHistoryFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        let parsed;
+        try {
+            parsed = /\.json$/i.test(file.name) ? parseRosterJson(reader.result) : parseRosterCsv(reader.result);
+        } catch (e) {
+            alert(`Could not import ${file.name}: ${e.message}`);
+            return;
+        }
+
+        const { startDate } = getPeriodBounds();
+        if (!startDate) {
+            alert('Set the period start date first.');
+            return;
+        }
+        const numDays = parsed.dates ? parsed.dates.length : parsed.dayNumbers.length;
+        const period = {
+            startDate: parsed.dates ? parsed.dates[0] : addDaysToDateStr(startDate, -numDays),
+            numDays
+        };
+
+        const resolveCode = buildImportCodeResolver();
+        const usedIds = new Set();
+        const schedule = {};
+        const unmatched = [];
+        parsed.groups.forEach(group => group.employees.forEach(imported => {
+            const match = matchImportedEmployee(imported, usedIds);
+            if (!match) {
+                unmatched.push(imported.name);
+                return;
+            }
+            usedIds.add(match.id);
+            schedule[match.id] = imported.row.map(code => code ? resolveCode(code) : null);
+        }));
+
+        if (Object.keys(schedule).length === 0) {
+            alert(`None of the staff in ${file.name} match the current staff list.`);
+            return;
+        }
+        AppState.periodHistory = buildPeriodHistory(schedule, period, 'import');
+        saveToStorage();
+        renderPeriodHistoryStatus();
+        revalidateSchedule();
+
+        if (unmatched.length > 0) {
+            alert(`Previous roster imported. Not in the current staff list (ignored): ${unmatched.join(', ')}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+function clearPeriodHistory() {
+    AppState.periodHistory = null;
+    saveToStorage();
+    renderPeriodHistoryStatus();
+    revalidateSchedule();
+}
+
+// ============================================
+// WEEKEND & HOLIDAY FAIRNESS
+// ============================================
+// Weekend and holiday shifts are counted apart from the shift total so they are shared out
+// across the team, and AppState.constraints.weekendRule caps how many weekends in a run one
+// person works. A weekend is a Saturday and the Sunday after it; any working shift on either
+// day counts as working that weekend.
+
+const WEEKEND_RULES = {
+    none: null,
+    '1of2': { weekends: 2, maxWorked: 1, label: 'every other weekend off' },
+    '2of3': { weekends: 3, maxWorked: 2, label: 'one weekend off in three' }
+};
+
+function isWeekendDate(date) {
+    return date.getDay() === 0 || date.getDay() === 6;
+}
+
+// { weekend, holiday } flags for each date string
+function classifyDays(dateStrs) {
+    return dateStrs.map(dateStr => ({ weekend: isWeekendDate(parseLocalDate(dateStr)), holiday: isHolidayDate(dateStr) }));
+}
+
+// Working, night, weekend and holiday shifts in a row (dayKinds from classifyDays)
+function countFairnessShifts(row, dayKinds, shiftLookup) {
+    const counts = { total: 0, night: 0, weekend: 0, holiday: 0 };
+    row.forEach((code, d) => {
+        const shift = shiftLookup[code];
+        if (!shift || shift.type !== 'working') return;
+        counts.total++;
+        if (code === 'N') counts.night++;
+        if (dayKinds[d].weekend) counts.weekend++;
+        if (dayKinds[d].holiday) counts.holiday++;
+    });
+    return counts;
+}
+
+// Weekends overlapping days from..to of the period (negative days are the previous period's
+// tail), each as the indexes of its Saturday and Sunday that fall inside the range
+function getWeekendSlots(from, to) {
+    const firstDay = getDateForDay(0).getDay();
+    const slots = [];
+    for (let d = from - 1; d <= to; d++) {
+        if (((firstDay + d) % 7 + 7) % 7 !== 6) continue;
+        const days = [d, d + 1].filter(x => x >= from && x <= to);
+        if (days.length > 0) slots.push(days);
+    }
+    return slots;
+}
+
+// Weekends that take a row over the weekend rule, history included: { days, count, rule }
+// with the in-period days worked that weekend and the weekends worked in its window
+function findWeekendRuleBreaks(row, history, shiftLookup) {
+    const rule = WEEKEND_RULES[AppState.constraints.weekendRule];
+    if (!rule) return [];
+    const isWorking = (code) => !!shiftLookup[code] && shiftLookup[code].type === 'working';
+    const slots = getWeekendSlots(-history.length, row.length - 1);
+    const worked = slots.map(days => days.some(d => isWorking(getCodeOnDay(row, history, d))));
+
+    const breaks = [];
+    for (let i = rule.weekends - 1; i < slots.length; i++) {
+        const days = slots[i].filter(d => d >= 0 && isWorking(row[d]));
+        if (days.length === 0) continue;
+        const count = worked.slice(i - rule.weekends + 1, i + 1).filter(Boolean).length;
+        if (count > rule.maxWorked) breaks.push({ days, count, rule });
+    }
+    return breaks;
+}
+
+// True if working code on day d would put a row over the weekend rule
+function breaksWeekendRule(row, d, code, history, shiftLookup) {
+    const trial = row.slice();
+    trial[d] = code;
+    return findWeekendRuleBreaks(trial, history, shiftLookup).length > findWeekendRuleBreaks(row, history, shiftLookup).length;
+}
+
+// ============================================
+// SCHEDULE VALIDATION
+// ============================================
+// Re-checks the roster after every change (generation, cell edit, drag, swap, settings).
+// Row rules (rest, consecutive days, weekly hours, weekends off, unavailability, qualifications,
+// contracts) are reported as issues { days, message } so the roster can mark the offending
+// cells; coverage and skill minimums are per day and shown in the coverage footer.
+
+// Lookups shared by every check in one validation pass
+function buildValidationContext(schedule) {
+    const numDays = getDaysInPeriod();
+    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
+    const dateStrs = [];
+    const required = [];
+    for (let d = 0; d < numDays; d++) {
+        dateStrs.push(formatDateStr(getDateForDay(d)));
+        const dayRequired = {};
+        workingShifts.forEach(shift => { dayRequired[shift.code] = getRequiredCoverage(shift, d); });
+        required.push(dayRequired);
+    }
+
+    const employees = new Map();
+    AppState.groups.forEach(group => group.employees.forEach(emp => employees.set(emp.id, emp)));
+
+    // Tail of the previous period, so rules that span the boundary are checked too
+    const periodHistory = isScheduleForCurrentPeriod() ? getPeriodHistory() : null;
+    const history = {};
+    employees.forEach((emp, empId) => { history[empId] = (periodHistory && periodHistory.rows[empId]) || []; });
+
+    return { schedule, numDays, workingShifts, dateStrs, required, employees, history, shiftLookup: buildShiftLookup() };
+}
+
+// Scheduled shifts on days the employee is absent or ruled out by a recurring rule
+function findUnavailabilityIssues(emp, empSchedule, context) {
+    const issues = [];
+    (emp.unavailability || []).forEach(unavail => {
+        if (!unavail.startDate) return;
+        const endDate = unavail.endDate || unavail.startDate;
+        context.dateStrs.forEach((dateStr, d) => {
+            const code = empSchedule[d];
+            if (dateStr >= unavail.startDate && dateStr <= endDate && context.shiftLookup[code]) {
+                issues.push({ days: [d], message: `${emp.name}: Day ${d+1} ${code} shift during ${unavail.type}` });
+            }
+        });
+    });
+    // Recurring rules only block the shifts they overlap
+    empSchedule.forEach((code, d) => {
+        const rule = findRecurringConflict(emp, d, code, context.shiftLookup);
+        if (rule) {
+            issues.push({ days: [d], message: `${emp.name}: Day ${d+1} ${code} shift clashes with recurring unavailability (${describeRecurringRule(rule)})` });
+        }
+    });
+    return issues;
+}
+
+// Runs of working days longer than maxConsecutiveDays; marks the days past the limit.
+// A run carried over from the previous period counts from its first day there.
+function findConsecutiveDayIssues(emp, empSchedule, history = []) {
+    const issues = [];
+    const maxDays = AppState.constraints.maxConsecutiveDays;
+    let runStart = -countTrailingWorkDays(history);
+
+    for (let d = 0; d <= empSchedule.length; d++) {
+        const working = d < empSchedule.length && continuesStreak(empSchedule[d]);
+        if (working) continue;
+
+        const length = d - runStart;
+        if (length > maxDays && d > 0) {
+            const days = [];
+            for (let x = Math.max(0, runStart + maxDays); x < d; x++) days.push(x);
+            issues.push({ days, message: `${emp.name}: ${length} consecutive days from ${formatDayLabel(runStart)} (max ${maxDays})` });
+        }
+        runStart = d + 1;
+    }
+    return issues;
+}
+
+// Weekends worked past the weekend rule, counting weekends at the end of the previous period
+function findWeekendRuleIssues(emp, empSchedule, context) {
+    return findWeekendRuleBreaks(empSchedule, context.history[emp.id] || [], context.shiftLookup).map(b => ({
+        days: b.days,
+        message: `${emp.name}: ${b.count} of ${b.rule.weekends} weekends worked up to ${formatDayLabel(b.days[0])} (rule: ${b.rule.label})`
+    }));
+}
+
+// Shifts outside the contract's allowed types, and shift totals outside its min/max
+function findContractIssues(emp, empSchedule, context) {
+    const issues = [];
+    const workedDays = [];
+    empSchedule.forEach((code, d) => {
+        const shift = context.shiftLookup[code];
+        if (!shift || shift.type !== 'working') return;
+        workedDays.push(d);
+        if (!isShiftAllowedByContract(emp, code)) {
+            issues.push({ days: [d], message: `${emp.name}: Day ${d+1} ${code} shift is not in their contract (${emp.allowedShifts.join(', ')} only)` });
+        }
+    });
+
+    if (emp.maxShifts > 0 && workedDays.length > emp.maxShifts) {
+        issues.push({ days: workedDays.slice(emp.maxShifts), message: `${emp.name}: ${workedDays.length} shifts (contract max ${emp.maxShifts})` });
+    }
+    if (emp.minShifts > 0 && workedDays.length < emp.minShifts) {
+        issues.push({ days: [], message: `${emp.name}: ${workedDays.length} shifts (contract min ${emp.minShifts})` });
+    }
+    return issues;
+}
+
+// Shifts assigned to someone without the shift's required skills
+function findQualificationIssues(emp, empSchedule, context) {
+    const issues = [];
+    empSchedule.forEach((code, d) => {
+        const shift = context.shiftLookup[code];
+        if (shift && shift.type === 'working' && !isQualifiedForShift(emp, shift)) {
+            issues.push({ days: [d], message: `${emp.name}: Day ${d+1} ${shift.code} shift requires ${shift.requiredSkills.join(', ')}` });
+        }
+    });
+    return issues;
+}
+
+function validateEmployeeRow(emp, empSchedule, context) {
+    return [
+        ...findUnavailabilityIssues(emp, empSchedule, context),
+        ...findQualificationIssues(emp, empSchedule, context),
+        ...findContractIssues(emp, empSchedule, context),
+        ...findRestIssues(emp, empSchedule, context.shiftLookup, context.history[emp.id]),
+        ...findConsecutiveDayIssues(emp, empSchedule, context.history[emp.id]),
+        ...findWeekendRuleIssues(emp, empSchedule, context),
+        ...findWeeklyHourIssues(emp, empSchedule, context.shiftLookup, context.history[emp.id])
+    ];
+}
+
+// Headcount per shift code and skilled headcount per skill-minimum rule on one day
+function summarizeDay(schedule, d, context) {
+    const summary = { counts: {}, skilled: {} };
+    Object.keys(schedule).forEach(empId => adjustDaySummary(summary, empId, schedule[empId][d], 1, context));
+    return summary;
+}
+
+function adjustDaySummary(summary, empId, code, delta, context) {
+    if (!code) return;
+    summary.counts[code] = (summary.counts[code] || 0) + delta;
+
+    const shift = context.shiftLookup[code];
+    const emp = context.employees.get(empId);
+    if (!shift || !emp) return;
+    (shift.skillMinimums || []).forEach(rule => {
+        if (!employeeHasSkill(emp, rule.skill)) return;
+        const key = `${code}:${rule.skill}`;
+        summary.skilled[key] = (summary.skilled[key] || 0) + delta;
+    });
+}
+
+// Understaffed shifts and unmet skill minimums on one day
+function findDayIssues(summary, d, context) {
+    const issues = [];
+    context.workingShifts.forEach(shift => {
+        const requiredCount = context.required[d][shift.code];
+        const assigned = summary.counts[shift.code] || 0;
+        if (assigned < requiredCount) {
+            issues.push(`Day ${d+1}: ${shift.code} shift understaffed (${assigned}/${requiredCount})`);
+        }
+
+        // Skill minimums only apply on days the shift is staffed at all
+        if (requiredCount === 0) return;
+        (shift.skillMinimums || []).forEach(rule => {
+            const have = summary.skilled[`${shift.code}:${rule.skill}`] || 0;
+            if (have < rule.count) {
+                issues.push(`Day ${d+1}: ${shift.code} shift missing ${rule.skill} (${have}/${rule.count})`);
+            }
+        });
+    });
+    return issues;
+}
+
+// Full check of a roster: warnings for the panel plus cellIssues[empId][dayIndex] = [messages]
+function validateSchedule(schedule) {
+    const result = { warnings: [], cellIssues: {} };
+    if (!schedule) return result;
+    const context = buildValidationContext(schedule);
+
+    for (let d = 0; d < context.numDays; d++) {
+        result.warnings.push(...findDayIssues(summarizeDay(schedule, d, context), d, context));
+    }
+
+    context.employees.forEach((emp, empId) => {
+        const empSchedule = schedule[empId];
+        if (!empSchedule) return;
+        validateEmployeeRow(emp, empSchedule, context).forEach(issue => {
+            result.warnings.push(issue.message);
+            const cells = result.cellIssues[empId] || (result.cellIssues[empId] = {});
+            issue.days.forEach(d => {
+                (cells[d] || (cells[d] = [])).push(issue.message);
+            });
+        });
+    });
+
+    return result;
+}
+
+// Returns check(sourceEmpId, sourceDay, targetEmpId, targetDay) -> true if swapping the two
+// cells would introduce a violation that isn't already there. Base results are cached so a
+// drag over a large roster only re-checks the two rows and days a swap touches.
+function buildSwapChecker(schedule) {
+    const context = buildValidationContext(schedule);
+    const rowMessages = {};
+    const daySummaries = {};
+    const dayMessages = {};
+
+    const messagesForRow = (empId, row) => new Set(validateEmployeeRow(context.employees.get(empId), row, context).map(i => i.message));
+    const baseRow = (empId) => rowMessages[empId] || (rowMessages[empId] = messagesForRow(empId, schedule[empId]));
+    const baseSummary = (d) => daySummaries[d] || (daySummaries[d] = summarizeDay(schedule, d, context));
+    const baseDay = (d) => dayMessages[d] || (dayMessages[d] = new Set(findDayIssues(baseSummary(d), d, context)));
+    const introduces = (before, after) => after.some(message => !before.has(message));
+
+    return (sourceEmpId, sourceDay, targetEmpId, targetDay) => {
+        if (!context.employees.has(sourceEmpId) || !context.employees.has(targetEmpId)) return false;
+        const sourceVal = schedule[sourceEmpId][sourceDay] || null;
+        const targetVal = schedule[targetEmpId][targetDay] || null;
+        if (sourceVal === targetVal) return false;
+
+        // Day rules first: cheap, and most bad drops break coverage
+        const changes = [[sourceEmpId, sourceDay, sourceVal, targetVal], [targetEmpId, targetDay, targetVal, sourceVal]];
+        const dayBroken = [...new Set([sourceDay, targetDay])].some(d => {
+            const base = baseSummary(d);
+            const summary = { counts: { ...base.counts }, skilled: { ...base.skilled } };
+            changes.filter(c => c[1] === d).forEach(([empId, , from, to]) => {
+                adjustDaySummary(summary, empId, from, -1, context);
+                adjustDaySummary(summary, empId, to, 1, context);
+            });
+            return introduces(baseDay(d), findDayIssues(summary, d, context));
+        });
+        if (dayBroken) return true;
+
+        const rows = { [sourceEmpId]: schedule[sourceEmpId].slice() };
+        rows[targetEmpId] = rows[targetEmpId] || schedule[targetEmpId].slice();
+        rows[sourceEmpId][sourceDay] = targetVal;
+        rows[targetEmpId][targetDay] = sourceVal;
+        return Object.keys(rows).some(empId => introduces(baseRow(empId), [...messagesForRow(empId, rows[empId])]));
+    };
+}
+
+// ============================================
+// SCHEDULE OPTIMIZER (Web Worker)
+// ============================================
+// Optimize mode refines the greedy roster with simulated annealing in a background worker.
+// Coverage, skill, rest, consecutive-day, weekly-hour, weekend and rotation/unavailability
+// rules are scored as weighted penalties, with fairness spread (total, night, weekend and
+// holiday shifts) as a small secondary term.
+
+const OPTIMIZER_DEFAULT_SECONDS = 10;
+
+let optimizerWorker = null;
+
+// Flatten the current roster and rules into plain data the worker can use
+function buildOptimizerProblem(schedule, allEmployees, workingShifts, shouldWorkOnDay, numDays, seed, dateStrs, dayKinds, historyRows, carryover, pinned) {
+    // Weekly windows may start up to leadDays into the previous period's history
+    const leadDays = allEmployees.some(emp => historyRows[emp.id].length > 0) ? 6 : 0;
+    const hourWindows = [];
+    if (AppState.constraints.weeklyHoursMode === 'calendar') {
+        let d = 0;
+        while (d < numDays) {
+            const [from, to] = getWeeklyWindowsForDay(d, numDays, -leadDays)[0];
+            hourWindows.push([from, to]);
+            d = to + 1;
+        }
+    } else {
+        for (let from = -leadDays; from < numDays; from++) {
+            hourWindows.push([from, Math.min(numDays - 1, from + 6)]);
+        }
+    }
+
+    // Weekends back into the history tail, far enough for the longest weekend rule
+    const weekendSlots = getWeekendSlots(leadDays > 0 ? -PERIOD_HISTORY_DAYS : 0, numDays - 1);
+
+    // Fixed state each employee brings in from the previous period
+    const shiftLookup = buildShiftLookup();
+    const lead = allEmployees.map(emp => {
+        const history = historyRows[emp.id];
+        let prevEnd = null;
+        for (let d = -history.length; d < 0; d++) {
+            const window = getShiftWindow(shiftLookup[getCodeOnDay([], history, d)], d);
+            if (window) prevEnd = window.end;
+        }
+        return {
+            run: countTrailingWorkDays(history),
+            prevEnd,
+            hours: Array.from({ length: leadDays }, (_, i) => {
+                const code = getCodeOnDay([], history, i - leadDays);
+                return code ? getShiftHours(code, shiftLookup) : 0;
+            }),
+            weekendWorked: weekendSlots.map(days => days.some(d => {
+                const shift = shiftLookup[getCodeOnDay([], history, d)];
+                return d < 0 && !!shift && shift.type === 'working';
+            })),
+            total: carryover[emp.id].total,
+            target: getTargetShifts(emp),
+            maxShifts: emp.maxShifts > 0 ? emp.maxShifts : null,
+            night: carryover[emp.id].night,
+            weekend: carryover[emp.id].weekend,
+            holiday: carryover[emp.id].holiday
+        };
+    });
+
+    return {
+        numDays,
+        shifts: workingShifts.map(shift => {
+            const window = getShiftWindow(shift, 0);
+            return {
+                code: shift.code,
+                start: window ? window.start : null,
+                duration: window ? window.end - window.start : 0,
+                hours: getShiftHours(shift.code),
+                night: shift.code === 'N'
+            };
+        }),
+        required: Array.from({ length: numDays }, (_, d) =>
+            workingShifts.map(shift => getRequiredCoverage(shift, d))
+        ),
+        initial: allEmployees.map(emp => schedule[emp.id].slice()),
+        pinned: allEmployees.map(emp => pinned[emp.id]),
+        // Hours of absences and other fixed cells, and whether they continue a run of working days
+        fixedHours: allEmployees.map(emp => schedule[emp.id].map(code => code ? getShiftHours(code, shiftLookup) : 0)),
+        fixedStreak: allEmployees.map(emp => schedule[emp.id].map(code => continuesStreak(code))),
+        qualified: allEmployees.map(emp => workingShifts.map(shift => isQualifiedForShift(emp, shift) && isShiftAllowedByContract(emp, shift.code))),
+        // blocked[e][d][s]: shift s on day d clashes with a recurring unavailability rule
+        blocked: allEmployees.map(emp =>
+            Array.from({ length: numDays }, (_, d) => workingShifts.map(shift => !!findRecurringConflict(emp, d, shift.code, shiftLookup)))
+        ),
+        skillRules: workingShifts.flatMap((shift, s) => (shift.skillMinimums || []).map(rule => ({
+            shift: s,
+            count: rule.count,
+            members: allEmployees.map(emp => employeeHasSkill(emp, rule.skill))
+        }))),
+        available: allEmployees.map(emp =>
+            Array.from({ length: numDays }, (_, d) => shouldWorkOnDay(emp.id, d))
+        ),
+        preference: allEmployees.map(emp =>
+            Array.from({ length: numDays }, (_, d) =>
+                workingShifts.map(shift => getPreferenceScore(emp, shift.code, d, dateStrs[d]))
+            )
+        ),
+        weekend: dayKinds.map(kind => kind.weekend),
+        holiday: dayKinds.map(kind => kind.holiday),
+        weekendSlots,
+        weekendRule: WEEKEND_RULES[AppState.constraints.weekendRule] || null,
+        hourWindows,
+        leadDays,
+        lead,
+        constraints: {
+            minRestHours: AppState.constraints.minRestHours,
+            maxConsecutiveDays: AppState.constraints.maxConsecutiveDays,
+            maxHoursWeek: AppState.constraints.maxHoursWeek
+        },
+        seed,
+        timeBudgetMs: (AppState.optimizeSeconds || OPTIMIZER_DEFAULT_SECONDS) * 1000
+    };
+}
+
+// Start the worker; onDone receives one row of shift codes per employee, or null if the
+// worker could not run (the greedy roster is kept in that case)
+function runOptimizer(problem, onDone) {
+    if (typeof Worker === 'undefined') {
+        console.warn('Web Workers are not supported; keeping the greedy schedule.');
+        onDone(null);
+        return;
+    }
+
+    cancelOptimizer();
+
+    // Built from a Blob so it also works when the page is opened from file://
+    const source = `(${optimizerWorkerMain.toString()})();`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+
+    try {
+        optimizerWorker = new Worker(url);
+    } catch (e) {
+        console.warn('Failed to start optimizer worker:', e);
+        URL.revokeObjectURL(url);
+        onDone(null);
+        return;
+    }
+
+    const finish = (rows) => {
+        if (optimizerWorker) optimizerWorker.terminate();
+        optimizerWorker = null;
+        URL.revokeObjectURL(url);
+        setOptimizerRunning(false);
+        onDone(rows);
+    };
+
+    optimizerWorker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+            updateOptimizerProgress(msg);
+        } else if (msg.type === 'done') {
+            finish(msg.rows);
+        }
+    };
+    optimizerWorker.onerror = (e) => {
+        console.warn('Optimizer worker failed:', e.message);
+        finish(null);
+    };
+
+    setOptimizerRunning(true);
+    updateOptimizerProgress({ progress: 0, understaffed: null });
+    optimizerWorker.postMessage({ type: 'start', problem });
+}
+
+// Ask the worker to finish early with the best roster found so far
+function stopOptimizer() {
+    if (optimizerWorker) optimizerWorker.postMessage({ type: 'stop' });
+}
+
+// Discard a running optimization without applying its result
+function cancelOptimizer() {
+    if (!optimizerWorker) return;
+    optimizerWorker.terminate();
+    optimizerWorker = null;
+    setOptimizerRunning(false);
+}
+
+function setOptimizerRunning(running) {
+    document.getElementById('optimizerProgress').classList.toggle('hidden', !running);
+    document.getElementById('generateBtn').disabled = running;
+    document.getElementById('regenerateBtn').disabled = running;
+}
+
+function updateOptimizerProgress(msg) {
+    const percent = Math.round(msg.progress * 100);
+    document.getElementById('optimizerProgressFill').style.width = `${percent}%`;
+    const status = msg.understaffed === null
+        ? 'Optimizing schedule...'
+        : `Optimizing schedule... ${percent}% · ${msg.understaffed} open slot${msg.understaffed === 1 ? '' : 's'} · ${msg.violations} rule violation${msg.violations === 1 ? '' : 's'}`;
+    document.getElementById('optimizerStatus').textContent = status;
+}
+
+// Runs inside the worker. Must be self-contained: it is serialized with toString().
+function optimizerWorkerMain() {
+    const W_HARD = 10000;  // per rest/consecutive/weekly-hours/weekend/contract-max violation
+    const W_UNDER = 1000;  // per missing person on a shift
+    const W_OVER = 5;      // per extra person on a shift
+    const W_FAIR = 1;      // squared distance from each employee's target shifts
+    const W_NIGHT = 2;     // squared night shifts per employee
+    const W_WEEKEND = 2;   // squared weekend shifts per employee
+    const W_HOLIDAY = 3;   // squared holiday shifts per employee
+    const W_PREF = 1;      // per point of preference score (see PREFERENCE_WEIGHTS)
+    const T_START = 500;
+    const T_END = 0.5;
+    const BATCH_SIZE = 2000;
+    const PROGRESS_INTERVAL_MS = 200;
+    const EMPTY = -1;
+    const FIXED = -2; // Absences and anything else the optimizer must not touch
+
+    let stopRequested = false;
+
+    function seededRandom(seed) {
+        const x = Math.sin(seed++) * 10000;
+        return x - Math.floor(x);
+    }
+
+    self.onmessage = (e) => {
+        if (e.data.type === 'stop') {
+            stopRequested = true;
+        } else if (e.data.type === 'start') {
+            optimize(e.data.problem);
+        }
+    };
+
+    function optimize(problem) {
+        const { numDays, shifts, required, pinned, fixedHours, fixedStreak, available, qualified, blocked, skillRules, preference, weekend, holiday, weekendSlots, weekendRule, hourWindows, leadDays, lead, constraints } = problem;
+        const numEmps = problem.initial.length;
+        const numShifts = shifts.length;
+        let seed = problem.seed;
+        const rand = () => seededRandom(seed++);
+        const randInt = (n) => Math.floor(rand() * n);
+
+        const codeIndex = {};
+        shifts.forEach((s, i) => { codeIndex[s.code] = i; });
+
+        // rows[e][d] = working shift index, EMPTY or FIXED
+        const rows = problem.initial.map(row => row.map(code => {
+            if (code === null) return EMPTY;
+            return code in codeIndex ? codeIndex[code] : FIXED;
+        }));
+
+        const counts = Array.from({ length: numDays }, () => new Array(numShifts).fill(0));
+        rows.forEach(row => row.forEach((s, d) => { if (s >= 0) counts[d][s]++; }));
+
+        // skillCounts[d][r] = skilled people on rule r's shift that day
+        const skillCounts = Array.from({ length: numDays }, () => new Array(skillRules.length).fill(0));
+        function updateSkillCounts(e, d, s, delta) {
+            skillRules.forEach((rule, r) => {
+                if (rule.shift === s && rule.members[e]) skillCounts[d][r] += delta;
+            });
+        }
+        rows.forEach((row, e) => row.forEach((s, d) => { if (s >= 0) updateSkillCounts(e, d, s, 1); }));
+
+        // Returns { cost, violations } for one employee's row
+        function scoreRow(e) {
+            const row = rows[e];
+            let total = 0;
+            let nights = 0;
+            let weekends = 0;
+            let holidays = 0;
+            let pref = 0;
+            let violations = 0;
+            let prevEnd = lead[e].prevEnd;
+            let run = lead[e].run;
+
+            // prefixHours[d + leadDays] = hours before day d, history included
+            const prefixHours = new Array(leadDays + numDays + 1).fill(0);
+            for (let i = 0; i < leadDays; i++) prefixHours[i + 1] = prefixHours[i] + lead[e].hours[i];
+
+            for (let d = 0; d < numDays; d++) {
+                const s = row[d];
+                prefixHours[leadDays + d + 1] = prefixHours[leadDays + d];
+                if (s === FIXED) {
+                    prefixHours[leadDays + d + 1] += fixedHours[e][d];
+                    run = fixedStreak[e][d] ? run + 1 : 0;
+                    if (run > constraints.maxConsecutiveDays) violations++;
+                    continue;
+                }
+                if (s < 0) {
+                    run = 0;
+                    continue;
+                }
+                const shift = shifts[s];
+                total++;
+                if (shift.night) nights++;
+                if (weekend[d]) weekends++;
+                if (holiday[d]) holidays++;
+                pref += preference[e][d][s];
+                prefixHours[leadDays + d + 1] += shift.hours;
+
+                run++;
+                if (run > constraints.maxConsecutiveDays) violations++;
+
+                if (shift.start !== null) {
+                    const start = d * 24 * 60 + shift.start;
+                    if (prevEnd !== null && (start - prevEnd) / 60 < constraints.minRestHours) violations++;
+                    prevEnd = start + shift.duration;
+                }
+            }
+
+            for (const [from, to] of hourWindows) {
+                const hours = prefixHours[leadDays + to + 1] - prefixHours[leadDays + from];
+                if (hours > constraints.maxHoursWeek) violations++;
+            }
+
+            // Every weekend worked in the period that goes over the weekend rule's window
+            if (weekendRule) {
+                const inPeriod = weekendSlots.map(days => days.some(d => d >= 0 && row[d] >= 0));
+                const worked = inPeriod.map((w, i) => w || lead[e].weekendWorked[i]);
+                for (let i = weekendRule.weekends - 1; i < worked.length; i++) {
+                    if (!inPeriod[i]) continue;
+                    let count = 0;
+                    for (let j = i - weekendRule.weekends + 1; j <= i; j++) if (worked[j]) count++;
+                    if (count > weekendRule.maxWorked) violations++;
+                }
+            }
+
+            // Contract maximum: every shift over it is a violation
+            if (lead[e].maxShifts !== null && total > lead[e].maxShifts) violations += total - lead[e].maxShifts;
+
+            // Fairness measures each person against their own target and includes
+            // what they worked in the previous period
+            const fairTotal = total - lead[e].target + lead[e].total;
+            const fairNights = nights + lead[e].night;
+            const fairWeekends = weekends + lead[e].weekend;
+            const fairHolidays = holidays + lead[e].holiday;
+            return {
+                cost: violations * W_HARD + fairTotal * fairTotal * W_FAIR + fairNights * fairNights * W_NIGHT
+                    + fairWeekends * fairWeekends * W_WEEKEND + fairHolidays * fairHolidays * W_HOLIDAY + pref * W_PREF,
+                violations
+            };
+        }
+
+        function coverageCost(d, s) {
+            const diff = required[d][s] - counts[d][s];
+            return diff > 0 ? diff * W_UNDER : -diff * W_OVER;
+        }
+
+        // Skill minimums only apply on days the shift is staffed at all
+        function skillCost(d) {
+            let total = 0;
+            skillRules.forEach((rule, r) => {
+                if (required[d][rule.shift] > 0) total += Math.max(0, rule.count - skillCounts[d][r]) * W_UNDER;
+            });
+            return total;
+        }
+
+        const rowScores = rows.map((row, e) => scoreRow(e));
+        let cost = rowScores.reduce((sum, r) => sum + r.cost, 0);
+        for (let d = 0; d < numDays; d++) {
+            for (let s = 0; s < numShifts; s++) cost += coverageCost(d, s);
+            cost += skillCost(d);
+        }
+
+        function countUnderstaffed() {
+            let missing = 0;
+            for (let d = 0; d < numDays; d++) {
+                for (let s = 0; s < numShifts; s++) missing += Math.max(0, required[d][s] - counts[d][s]);
+                missing += skillCost(d) / W_UNDER;
+            }
+            return missing;
+        }
+
+        let bestCost = cost;
+        let bestRows = rows.map(row => row.slice());
+        let bestUnderstaffed = countUnderstaffed();
+        let bestViolations = rowScores.reduce((sum, r) => sum + r.violations, 0);
+
+        // Pick a random employee whose cell on day d matches the predicate
+        function pickEmployee(d, predicate) {
+            for (let tries = 0; tries < 12; tries++) {
+                const e = randInt(numEmps);
+                if (predicate(e)) return e;
+            }
+            return -1;
+        }
+
+        const isFree = (e, d) => rows[e][d] === EMPTY && available[e][d];
+
+        // Each generator returns a list of [emp, day, newValue] changes, or null
+        const moves = [
+            // Fill an understaffed shift
+            () => {
+                const d = randInt(numDays);
+                const open = [];
+                for (let s = 0; s < numShifts; s++) if (counts[d][s] < required[d][s]) open.push(s);
+                if (open.length === 0) return null;
+                const e = pickEmployee(d, (e) => isFree(e, d));
+                return e < 0 ? null : [[e, d, open[randInt(open.length)]]];
+            },
+            // Hand a shift to someone else on the same day
+            () => {
+                const d = randInt(numDays);
+                const from = pickEmployee(d, (e) => rows[e][d] >= 0);
+                const to = pickEmployee(d, (e) => isFree(e, d));
+                if (from < 0 || to < 0) return null;
+                return [[from, d, EMPTY], [to, d, rows[from][d]]];
+            },
+            // Swap two people's shifts on the same day
+            () => {
+                const d = randInt(numDays);
+                const a = pickEmployee(d, (e) => rows[e][d] >= 0);
+                if (a < 0) return null;
+                const b = pickEmployee(d, (e) => rows[e][d] >= 0 && rows[e][d] !== rows[a][d]);
+                if (b < 0) return null;
+                return [[a, d, rows[b][d]], [b, d, rows[a][d]]];
+            },
+            // Move one employee's shift to another of their days
+            () => {
+                const e = randInt(numEmps);
+                const d1 = randInt(numDays);
+                const d2 = randInt(numDays);
+                const v1 = rows[e][d1];
+                const v2 = rows[e][d2];
+                if (d1 === d2 || v1 === FIXED || v2 === FIXED || v1 === v2) return null;
+                if ((v1 >= 0 && !available[e][d2]) || (v2 >= 0 && !available[e][d1])) return null;
+                return [[e, d1, v2], [e, d2, v1]];
+            },
+            // Change a shift's type
+            () => {
+                if (numShifts < 2) return null;
+                const d = randInt(numDays);
+                const e = pickEmployee(d, (e) => rows[e][d] >= 0);
+                if (e < 0) return null;
+                const s = randInt(numShifts);
+                return s === rows[e][d] ? null : [[e, d, s]];
+            },
+            // Drop a shift that is overstaffed
+            () => {
+                const d = randInt(numDays);
+                const e = pickEmployee(d, (e) => rows[e][d] >= 0 && counts[d][rows[e][d]] > required[d][rows[e][d]]);
+                return e < 0 ? null : [[e, d, EMPTY]];
+            }
+        ];
+
+        function applyChanges(changes) {
+            const previous = [];
+            changes.forEach(([e, d, value]) => {
+                const old = rows[e][d];
+                previous.push([e, d, old]);
+                if (old >= 0) {
+                    counts[d][old]--;
+                    updateSkillCounts(e, d, old, -1);
+                }
+                if (value >= 0) {
+                    counts[d][value]++;
+                    updateSkillCounts(e, d, value, 1);
+                }
+                rows[e][d] = value;
+            });
+            return previous.reverse();
+        }
+
+        // Evaluate a move; keep it if it improves or passes the annealing test
+        function tryMove(changes, temperature) {
+            if (changes.some(([e, d]) => pinned[e][d])) return false;
+            if (changes.some(([e, d, value]) => value >= 0 && (!qualified[e][value] || blocked[e][d][value]))) return false;
+
+            const emps = [...new Set(changes.map(c => c[0]))];
+            const days = [...new Set(changes.map(c => c[1]))];
+            const cells = [];
+            changes.forEach(([e, d, value]) => {
+                if (rows[e][d] >= 0) cells.push([d, rows[e][d]]);
+                if (value >= 0) cells.push([d, value]);
+            });
+            const uniqueCells = cells.filter((c, i) => cells.findIndex(o => o[0] === c[0] && o[1] === c[1]) === i);
+
+            let before = 0;
+            emps.forEach(e => { before += rowScores[e].cost; });
+            uniqueCells.forEach(([d, s]) => { before += coverageCost(d, s); });
+            days.forEach(d => { before += skillCost(d); });
+
+            const undo = applyChanges(changes);
+
+            let after = 0;
+            const newScores = emps.map(scoreRow);
+            newScores.forEach(r => { after += r.cost; });
+            uniqueCells.forEach(([d, s]) => { after += coverageCost(d, s); });
+            days.forEach(d => { after += skillCost(d); });
+
+            const delta = after - before;
+            if (delta <= 0 || rand() < Math.exp(-delta / temperature)) {
+                emps.forEach((e, i) => { rowScores[e] = newScores[i]; });
+                cost += delta;
+                return true;
+            }
+            applyChanges(undo);
+            return false;
+        }
+
+        const startTime = Date.now();
+        let lastProgress = startTime;
+
+        function step() {
+            const elapsed = Date.now() - startTime;
+            const fraction = Math.min(1, elapsed / problem.timeBudgetMs);
+            const temperature = T_START * Math.pow(T_END / T_START, fraction);
+
+            for (let i = 0; i < BATCH_SIZE; i++) {
+                const changes = moves[randInt(moves.length)]();
+                if (!changes) continue;
+                if (tryMove(changes, temperature) && cost < bestCost) {
+                    bestCost = cost;
+                    bestRows = rows.map(row => row.slice());
+                    bestUnderstaffed = countUnderstaffed();
+                    bestViolations = rowScores.reduce((sum, r) => sum + r.violations, 0);
+                }
+            }
+
+            const now = Date.now();
+            if (stopRequested || now - startTime >= problem.timeBudgetMs) {
+                self.postMessage({
+                    type: 'done',
+                    rows: bestRows.map((row, e) => row.map((s, d) => {
+                        if (s >= 0) return shifts[s].code;
+                        return s === EMPTY ? null : problem.initial[e][d];
+                    }))
+                });
+                return;
+            }
+            if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+                lastProgress = now;
+                self.postMessage({ type: 'progress', progress: fraction, understaffed: bestUnderstaffed, violations: bestViolations });
+            }
+            // Yield so a 'stop' message can be received between batches
+            setTimeout(step, 0);
+        }
+
+        step();
+    }
+}
+
+// ============================================
+// SCHEDULE ARCHIVE (IndexedDB)
+// ============================================
+// Published rosters are kept as locked versions, one or more per period, in IndexedDB
+// (a year of rosters outgrows localStorage). Each record stores a project document
+// (see PROJECT FILES), so archived versions go through the same schema migrations:
+//   { id, periodKey: 'YYYY-MM-DD/numDays', version, label, publishedAt, document }
+// Records are never updated: to change a published roster, open it as a draft and publish again.
+// While an archived version is viewed read-only, the working draft is set aside in
+// archiveView.draft and nothing is saved to localStorage.
+
+const ARCHIVE_DB_NAME = 'staffSchedulerArchive';
+const ARCHIVE_DB_VERSION = 1;
+const ARCHIVE_STORE = 'versions';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+let archiveDb = null;
+let archiveView = null; // { record, draft } while an archived version is on screen
+
+function reportArchiveError(message) {
+    alert(`Schedule archive: ${message}`);
+}
+
+// Opens the database once and hands it to callback
+function openArchiveDb(callback) {
+    if (archiveDb) {
+        callback(archiveDb);
+        return;
+    }
+    if (typeof indexedDB === 'undefined') {
+        reportArchiveError('this browser does not support IndexedDB.');
+        return;
+    }
+    const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ARCHIVE_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('periodKey', 'periodKey');
+    };
+    request.onsuccess = () => {
+        archiveDb = request.result;
+        callback(archiveDb);
+    };
+    request.onerror = () => reportArchiveError(request.error ? request.error.message : 'could not open the archive.');
+}
+
+// Versions published for one period, oldest first
+function getArchivedVersions(periodKey, callback) {
+    openArchiveDb(db => {
+        const request = db.transaction(ARCHIVE_STORE).objectStore(ARCHIVE_STORE).index('periodKey').getAll(periodKey);
+        request.onsuccess = () => callback(request.result.sort((a, b) => a.version - b.version));
+        request.onerror = () => reportArchiveError(request.error.message);
+    });
+}
+
+function getArchivedVersion(id, callback) {
+    openArchiveDb(db => {
+        const request = db.transaction(ARCHIVE_STORE).objectStore(ARCHIVE_STORE).get(id);
+        request.onsuccess = () => {
+            if (request.result) callback(request.result);
+            else reportArchiveError('that version no longer exists.');
+        };
+        request.onerror = () => reportArchiveError(request.error.message);
+    });
+}
+
+function getPeriodKey(bounds = getPeriodBounds()) {
+    return `${bounds.startDate}/${bounds.numDays}`;
+}
+
+// "May 2025" for a whole calendar month, else the date range
+function formatPeriodLabel(bounds = getPeriodBounds()) {
+    const start = parseLocalDate(bounds.startDate);
+    if (!start) return '';
+    const daysInMonth = new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+    if (start.getDate() === 1 && bounds.numDays === daysInMonth) {
+        return `${MONTH_NAMES[start.getMonth()]} ${start.getFullYear()}`;
+    }
+    const end = parseLocalDate(addDaysToDateStr(bounds.startDate, bounds.numDays - 1));
+    return `${start.toLocaleDateString()} - ${end.toLocaleDateString()}`;
+}
+
+function publishSchedule() {
+    if (!AppState.schedule || archiveView) return;
+    if (!isScheduleForCurrentPeriod()) {
+        alert(`The draft roster is for ${formatPeriodLabel(AppState.schedulePeriod)}. Generate one for ${formatPeriodLabel()} first.`);
+        return;
+    }
+
+    const periodKey = getPeriodKey();
+    getArchivedVersions(periodKey, versions => {
+        const version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+        const record = {
+            periodKey,
+            version,
+            label: formatPeriodLabel(),
+            publishedAt: new Date().toISOString(),
+            document: buildProjectDocument()
+        };
+        openArchiveDb(db => {
+            const tx = db.transaction(ARCHIVE_STORE, 'readwrite');
+            tx.objectStore(ARCHIVE_STORE).add(record);
+            tx.oncomplete = () => {
+                renderArchiveNav();
+                alert(`Published ${record.label} as version ${version}.`);
+            };
+            tx.onerror = () => reportArchiveError(tx.error ? tx.error.message : 'could not publish the roster.');
+        });
+        if (typeof umami !== 'undefined') umami.track('schedule-published', { version });
+    });
+}
+
+// Copy a project state (from a file or the archive) into AppState
+function applyProjectState(state) {
+    PROJECT_STATE_KEYS.forEach(key => {
+        if (state[key] !== undefined) AppState[key] = state[key];
+    });
+    if (!AppState.coverageOverrides) AppState.coverageOverrides = [];
+    ensureEmployeeIds(AppState.groups);
+}
+
+function readArchivedState(record) {
+    try {
+        return readProjectDocument(record.document);
+    } catch (e) {
+        reportArchiveError(`version ${record.version} of ${record.label} could not be read: ${e.message}`);
+        return null;
+    }
+}
+
+function viewArchivedVersion(id) {
+    getArchivedVersion(id, record => {
+        const state = readArchivedState(record);
+        if (!state) return;
+        if (swapMode) exitSwapMode();
+        cancelOptimizer();
+
+        archiveView = { record, draft: archiveView ? archiveView.draft : JSON.stringify(AppState) };
+        applyProjectState(state);
+        renderUI();
+        if (!AppState.schedule) renderEmptySchedule();
+    });
+}
+
+function closeArchiveView() {
+    if (!archiveView) return;
+    Object.assign(AppState, JSON.parse(archiveView.draft));
+    archiveView = null;
+    renderUI();
+    if (!AppState.schedule) renderEmptySchedule();
+}
+
+// Replace the working draft with a copy of an archived version; the archive keeps the original
+function openArchivedAsDraft(id) {
+    getArchivedVersion(id, record => {
+        const state = readArchivedState(record);
+        if (!state) return;
+        const draft = archiveView ? JSON.parse(archiveView.draft) : AppState;
+        if (draft.schedule && !confirm(`Replace the current draft with a copy of ${record.label} version ${record.version}?`)) return;
+        if (swapMode) exitSwapMode();
+        cancelOptimizer();
+
+        if (archiveView) {
+            Object.assign(AppState, draft);
+            archiveView = null;
+        }
+        applyProjectState(state);
+        saveToStorage();
+        renderUI();
+        if (!AppState.schedule) renderEmptySchedule();
+    });
+}
+
+function openViewedAsDraft() {
+    if (archiveView) openArchivedAsDraft(archiveView.record.id);
+}
+
+// Move to the previous (-1) or next (+1) month or date range
+function shiftPeriod(direction) {
+    if (archiveView) closeArchiveView();
+
+    if (AppState.calendarStyle === 'monthly') {
+        const date = new Date(AppState.year, AppState.month + direction, 1);
+        AppState.month = date.getMonth();
+        AppState.year = date.getFullYear();
+    } else {
+        const start = AppState.startDate || document.getElementById('startDate').value;
+        AppState.startDate = addDaysToDateStr(start, direction * AppState.duration);
+    }
+    saveToStorage();
+    renderPeriodFields();
+    handlePeriodChange();
+}
+
+// Everything that depends on which period is selected
+function handlePeriodChange() {
+    // A roster still being optimized belongs to the period it was started for
+    cancelOptimizer();
+    if (scheduleComparison && scheduleComparison.record.periodKey !== getPeriodKey()) scheduleComparison = null;
+    renderPeriodHistoryStatus();
+    renderPeriodHolidays();
+    renderArchiveNav();
+    renderCurrentSchedule();
+}
+
+// The draft if it was made for the period on screen, else an empty state for that period
+function renderCurrentSchedule() {
+    if (AppState.schedule && isScheduleForCurrentPeriod()) {
+        renderSchedule();
+        return;
+    }
+    if (!AppState.schedule) {
+        renderEmptySchedule();
+        return;
+    }
+    if (swapMode) exitSwapMode();
+    renderEmptySchedule(
+        `No Roster for ${formatPeriodLabel()}`,
+        `The draft roster is for ${formatPeriodLabel(AppState.schedulePeriod)}. Click "Generate Schedule" to replace it, or view a published version of this period.`
+    );
+}
+
+function renderArchiveNav() {
+    document.getElementById('periodNavLabel').textContent = formatPeriodLabel();
+    document.getElementById('publishBtn').disabled = !AppState.schedule || !!archiveView || !isScheduleForCurrentPeriod();
+
+    const banner = document.getElementById('archiveBanner');
+    banner.classList.toggle('hidden', !archiveView);
+    document.getElementById('configPanel').classList.toggle('read-only', !!archiveView);
+    document.getElementById('configFields').disabled = !!archiveView;
+    // The leave queue sits outside the config panel; it belongs to the draft too
+    document.querySelectorAll('#leaveQueuePanel .leave-request-form .form-control, #submitLeaveRequestBtn').forEach(control => {
+        control.disabled = !!archiveView;
+    });
+    document.getElementById('leaveQueueArchiveNote').classList.toggle('hidden', !archiveView);
+    if (archiveView) {
+        const { record } = archiveView;
+        document.getElementById('archiveBannerText').textContent =
+            `Viewing ${record.label} version ${record.version}, published ${new Date(record.publishedAt).toLocaleString()} (read-only).`;
+    }
+
+    const select = document.getElementById('archiveVersionSelect');
+    const { startDate } = getPeriodBounds();
+    if (!startDate || typeof indexedDB === 'undefined') {
+        select.innerHTML = '<option value="">No published versions</option>';
+        updateArchiveButtons();
+        return;
+    }
+    getArchivedVersions(getPeriodKey(), versions => {
+        select.innerHTML = versions.length === 0
+            ? '<option value="">No published versions</option>'
+            : versions.slice().reverse().map(record =>
+                `<option value="${record.id}">Version ${record.version} · ${esc(new Date(record.publishedAt).toLocaleString())}</option>`
+            ).join('');
+        if (archiveView && versions.some(record => record.id === archiveView.record.id)) {
+            select.value = archiveView.record.id;
+        }
+        updateArchiveButtons();
+    });
+}
+
+function updateArchiveButtons() {
+    const hasVersion = document.getElementById('archiveVersionSelect').value !== '';
+    document.getElementById('viewArchiveBtn').disabled = !hasVersion;
+    document.getElementById('draftArchiveBtn').disabled = !hasVersion;
+    document.getElementById('compareArchiveBtn').disabled = !hasVersion;
+}
+
+function getSelectedArchiveId() {
+    return parseInt(document.getElementById('archiveVersionSelect').value);
+}
+
+// ============================================
+// SCHEDULE COMPARISON (Version Diff)
+// ============================================
+// Compares the roster on screen (the draft or a viewed archived version) with a published
+// version of the same period, cell by cell. Changed cells are highlighted in the roster
+// and a per-employee summary can be exported as text or CSV to send to staff.
+
+let scheduleComparison = null; // { record, state } of the version being compared against
+
+function compareWithArchivedVersion(id) {
+    if (archiveView && archiveView.record.id === id) {
+        alert('That version is the one on screen. Choose another version to compare with.');
+        return;
+    }
+    getArchivedVersion(id, record => {
+        const state = readArchivedState(record);
+        if (!state) return;
+        scheduleComparison = { record, state };
+        revalidateSchedule();
+    });
+}
+
+function closeComparison() {
+    scheduleComparison = null;
+    document.getElementById('diffPanel').classList.add('hidden');
+    revalidateSchedule();
+}
+
+// "D (06:00-16:00)", or just the code for untimed shifts and absences
+function describeShiftCode(code, shiftLookup) {
+    const shift = shiftLookup[code];
+    return shift && shift.start && shift.end ? `${code} (${shift.start}-${shift.end})` : code;
+}
+
+// cells[empId][d] = { type: 'added' | 'removed' | 'changed', from, to }, plus one summary
+// entry per employee with changes. Employees are matched by id.
+function diffSchedules(baseState, schedule, groups) {
+    const numDays = getDaysInPeriod();
+    const baseSchedule = baseState.schedule || {};
+    const currentIds = new Set();
+    const diff = { cells: {}, employees: [], changeCount: 0 };
+
+    const compareRow = (emp, baseRow, row, note) => {
+        const changes = [];
+        for (let d = 0; d < numDays; d++) {
+            const from = baseRow[d] || null;
+            const to = row[d] || null;
+            if (from === to) continue;
+            const type = !from ? 'added' : !to ? 'removed' : 'changed';
+            changes.push({ d, type, from, to });
+            (diff.cells[emp.id] || (diff.cells[emp.id] = {}))[d] = { type, from, to };
+        }
+        if (changes.length > 0 || note) {
+            diff.employees.push({ empId: emp.id, name: emp.name, note, changes });
+            diff.changeCount += changes.length;
+        }
+    };
+
+    groups.forEach(group => group.employees.forEach(emp => {
+        currentIds.add(emp.id);
+        const inBase = emp.id in baseSchedule;
+        compareRow(emp, baseSchedule[emp.id] || [], (schedule && schedule[emp.id]) || [], inBase ? null : 'added to the roster');
+    }));
+    (baseState.groups || []).forEach(group => group.employees.forEach(emp => {
+        if (currentIds.has(emp.id) || !(emp.id in baseSchedule)) return;
+        compareRow(emp, baseSchedule[emp.id], [], 'removed from the roster');
+    }));
+
+    return diff;
+}
+
+function getScheduleDiff() {
+    if (!scheduleComparison || !AppState.schedule) return null;
+    return diffSchedules(scheduleComparison.state, AppState.schedule, AppState.groups);
+}
+
+function formatChangeDate(d) {
+    return getDateForDay(d).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function describeChange(change, shiftLookup) {
+    const from = change.from && describeShiftCode(change.from, shiftLookup);
+    const to = change.to && describeShiftCode(change.to, shiftLookup);
+    if (change.type === 'added') return `new shift ${to}`;
+    if (change.type === 'removed') return `${from} removed`;
+    return `${from} → ${to}`;
+}
+
+function getComparisonShiftLookup() {
+    const lookup = {};
+    (scheduleComparison.state.shifts || []).forEach(shift => { lookup[shift.code] = shift; });
+    return { ...lookup, ...buildShiftLookup() };
+}
+
+function describeComparisonBase() {
+    const { record } = scheduleComparison;
+    const onScreen = archiveView ? `version ${archiveView.record.version}` : 'the current draft';
+    return `Changes in ${onScreen} since version ${record.version} (published ${new Date(record.publishedAt).toLocaleString()})`;
+}
+
+function renderDiffPanel(diff) {
+    const panel = document.getElementById('diffPanel');
+    if (!diff) {
+        panel.classList.add('hidden');
+        return;
+    }
+    const shiftLookup = getComparisonShiftLookup();
+
+    panel.classList.remove('hidden');
+    document.getElementById('diffTitle').textContent = describeComparisonBase();
+    document.getElementById('diffSummary').innerHTML = diff.employees.length === 0
+        ? '<tr><td colspan="2">No changes.</td></tr>'
+        : diff.employees.map(entry => `
+            <tr>
+                <td>${esc(entry.name)}</td>
+                <td>${esc([
+                    ...(entry.note ? [entry.note] : []),
+                    ...entry.changes.map(change => `${formatChangeDate(change.d)}: ${describeChange(change, shiftLookup)}`)
+                ].join('; '))}</td>
+            </tr>
+        `).join('');
+}
+
+function exportDiff(format) {
+    const diff = getScheduleDiff();
+    if (!diff) return;
+    const shiftLookup = getComparisonShiftLookup();
+    const name = safeFileName(`${AppState.departmentName || 'schedule'}-${formatPeriodLabel()}-changes`);
+
+    if (format === 'csv') {
+        const rows = [['Employee', 'Date', 'Day', 'Change', 'Before', 'After']];
+        diff.employees.forEach(entry => {
+            if (entry.note) rows.push([entry.name, '', '', entry.note, '', '']);
+            entry.changes.forEach(change => {
+                const date = getDateForDay(change.d);
+                rows.push([entry.name, formatDateStr(date), DAY_NAMES[date.getDay()], change.type, change.from || '', change.to || '']);
+            });
+        });
+        const csv = rows.map(row => row.map(csvCell).join(',')).join('\n');
+        downloadBlob(new Blob([csv], { type: 'text/csv' }), `${name}.csv`);
+    } else {
+        const lines = [`${AppState.departmentName || 'Staff Schedule'} - ${formatPeriodLabel()}`, describeComparisonBase(), ''];
+        if (diff.employees.length === 0) lines.push('No changes.');
+        diff.employees.forEach(entry => {
+            lines.push(entry.name);
+            if (entry.note) lines.push(`  ${entry.note}`);
+            entry.changes.forEach(change => lines.push(`  ${formatChangeDate(change.d)}: ${describeChange(change, shiftLookup)}`));
+            lines.push('');
+        });
+        downloadBlob(new Blob([lines.join('\n')], { type: 'text/plain' }), `${name}.txt`);
+    }
+    if (typeof umami !== 'undefined') umami.track('changes-exported', { format });
+}
+
+// ============================================
+// WORKLOAD ANALYTICS
+// ============================================
+// Per-employee workload for the roster on screen (shift mix, hours, nights, weekends,
+// holidays, longest run of working days, deviation from target), the spread of each
+// within every group, and SVG bar charts. Recomputed with every roster render while open.
+
+let analyticsOpen = false;
+
+function toggleAnalytics() {
+    analyticsOpen = !analyticsOpen;
+    document.getElementById('analyticsBtn').classList.toggle('active', analyticsOpen);
+    renderAnalyticsPanel(buildRowContext());
+}
+
+// Longest run of working days in a row (empty days and streak-breaking absences end it)
+function findLongestStreak(row) {
+    let longest = 0;
+    let run = 0;
+    row.forEach(code => {
+        run = continuesStreak(code) ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    });
+    return longest;
+}
+
+function computeEmployeeStats(emp, rowContext) {
+    const { workingShifts, shiftLookup, dayKinds } = rowContext;
+    const row = (AppState.schedule[emp.id] || []).slice(0, dayKinds.length);
+    const fairness = countFairnessShifts(row, dayKinds, shiftLookup);
+    const byShift = {};
+    workingShifts.forEach(s => { byShift[s.code] = row.filter(code => code === s.code).length; });
+    const target = getTargetShifts(emp);
+
+    return {
+        emp,
+        byShift,
+        ...fairness,
+        hours: row.reduce((sum, code) => sum + (code ? getShiftHours(code, shiftLookup) : 0), 0),
+        streak: findLongestStreak(row),
+        target,
+        deviation: fairness.total - target
+    };
+}
+
+// Min, max and (population) standard deviation of a list of numbers
+function summarizeSpread(values) {
+    if (values.length === 0) return { min: 0, max: 0, stddev: 0 };
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    return { min: Math.min(...values), max: Math.max(...values), stddev: Math.sqrt(variance) };
+}
+
+function formatStat(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Horizontal bar chart as inline SVG. rows = [{ label, segments: [{ value, color, title }] }];
+// options.marker draws a dashed reference line (e.g. the target) at that value.
+function renderBarChart(title, rows, options = {}) {
+    const labelWidth = 110;
+    const barWidth = 320;
+    const valueWidth = 40;
+    const rowHeight = 18;
+    const totals = rows.map(row => row.segments.reduce((sum, seg) => sum + seg.value, 0));
+    const scale = barWidth / Math.max(1, options.marker || 0, ...totals);
+    const width = labelWidth + barWidth + valueWidth;
+    const height = rows.length * rowHeight + 4;
+
+    let svg = `<svg class="analytics-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${esc(title)}">`;
+    rows.forEach((row, i) => {
+        const y = i * rowHeight + 2;
+        svg += `<text x="${labelWidth - 6}" y="${y + 12}" text-anchor="end">${esc(row.label)}</text>`;
+        let x = labelWidth;
+        row.segments.forEach(seg => {
+            if (seg.value <= 0) return;
+            const w = seg.value * scale;
+            svg += `<rect x="${x.toFixed(1)}" y="${y}" width="${w.toFixed(1)}" height="${rowHeight - 4}" fill="${esc(seg.color)}"><title>${esc(seg.title)}</title></rect>`;
+            x += w;
+        });
+        svg += `<text x="${(x + 4).toFixed(1)}" y="${y + 12}">${formatStat(totals[i])}</text>`;
+    });
+    if (options.marker) {
+        const x = (labelWidth + options.marker * scale).toFixed(1);
+        svg += `<line class="analytics-marker" x1="${x}" y1="0" x2="${x}" y2="${height}"><title>${esc(options.markerLabel || '')}</title></line>`;
+    }
+    svg += `</svg>`;
+    return `<figure class="analytics-figure"><figcaption>${esc(title)}</figcaption>${svg}</figure>`;
+}
+
+function renderAnalyticsPanel(rowContext) {
+    const panel = document.getElementById('analyticsPanel');
+    if (!analyticsOpen || !AppState.schedule) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+
+    const { workingShifts } = rowContext;
+    const groups = AppState.groups.map(group => ({
+        name: group.name,
+        stats: group.employees.map(emp => computeEmployeeStats(emp, rowContext))
+    }));
+    const allStats = groups.flatMap(group => group.stats);
+
+    // Per-employee breakdown
+    document.getElementById('analyticsEmployeesHead').innerHTML = `<tr>
+        <th>Employee</th>
+        ${workingShifts.map(s => `<th>${esc(s.code)}</th>`).join('')}
+        <th>Total</th><th>Target</th><th>+/-</th><th>Hrs</th><th>Nights</th><th>WE</th><th>Hol</th><th title="Longest run of working days">Streak</th>
+    </tr>`;
+    document.getElementById('analyticsEmployees').innerHTML = groups.map(group => `
+        <tr class="analytics-group-row"><td colspan="${workingShifts.length + 9}">${esc(group.name)}</td></tr>
+        ${group.stats.map(st => `
+            <tr>
+                <td>${esc(st.emp.name)}</td>
+                ${workingShifts.map(s => `<td>${st.byShift[s.code]}</td>`).join('')}
+                <td>${st.total}</td>
+                <td>${st.target}</td>
+                <td class="${st.deviation < 0 ? 'analytics-under' : st.deviation > 0 ? 'analytics-over' : ''}">${st.deviation > 0 ? '+' : ''}${st.deviation}</td>
+                <td>${formatStat(st.hours)}</td>
+                <td>${st.night}</td>
+                <td>${st.weekend}</td>
+                <td>${st.holiday}</td>
+                <td>${st.streak}</td>
+            </tr>
+        `).join('')}
+    `).join('');
+
+    // Spread within each group (and across all staff)
+    const metrics = ['total', 'hours', 'night', 'weekend', 'holiday'];
+    const spreadCell = (stats, key) => {
+        const spread = summarizeSpread(stats.map(st => st[key]));
+        return `<td>${formatStat(spread.min)}–${formatStat(spread.max)} <span class="analytics-stddev">σ ${spread.stddev.toFixed(1)}</span></td>`;
+    };
+    const spreadRows = groups.filter(group => group.stats.length > 0);
+    if (spreadRows.length > 1) spreadRows.push({ name: 'All staff', stats: allStats });
+    document.getElementById('analyticsGroups').innerHTML = spreadRows.map(group => `
+        <tr>
+            <td>${esc(group.name)}</td>
+            <td>${group.stats.length}</td>
+            ${metrics.map(key => spreadCell(group.stats, key)).join('')}
+        </tr>
+    `).join('');
+
+    // Charts
+    const label = (st) => st.emp.name;
+    const targets = allStats.map(st => st.target);
+    const sameTarget = targets.every(t => t === targets[0]);
+    document.getElementById('analyticsCharts').innerHTML =
+        renderBarChart('Shifts by type', allStats.map(st => ({
+            label: label(st),
+            segments: workingShifts.map(s => ({ value: st.byShift[s.code], color: s.color, title: `${st.emp.name}: ${st.byShift[s.code]} ${s.code}` }))
+        })), sameTarget && targets.length > 0 ? { marker: targets[0], markerLabel: `Target ${targets[0]}` } : {}) +
+        renderBarChart('Hours', allStats.map(st => ({
+            label: label(st),
+            segments: [{ value: st.hours, color: '#2563eb', title: `${st.emp.name}: ${formatStat(st.hours)} h` }]
+        }))) +
+        renderBarChart('Nights, weekends and holidays', allStats.map(st => ({
+            label: label(st),
+            segments: [
+                { value: st.night, color: '#1e40af', title: `${st.emp.name}: ${st.night} nights` },
+                { value: st.weekend, color: '#dc2626', title: `${st.emp.name}: ${st.weekend} weekend shifts` },
+                { value: st.holiday, color: '#7c3aed', title: `${st.emp.name}: ${st.holiday} holiday shifts` }
+            ]
+        })));
+}
+
+// ============================================
+// UNDO / REDO HISTORY
+// ============================================
+// Every saveToStorage() that changes the state pushes the previous snapshot onto the
+// undo stack, so cell edits, drags, swaps, regenerations and settings changes are all
+// covered without each handler having to opt in. Stacks are persisted next to the state,
+// HISTORY_SAVE_DELAY_MS after the last change (and when the page is left), since writing
+// up to HISTORY_LIMIT full snapshots on every save is slow for large departments.
+
+const HISTORY_LIMIT = 30;
+const HISTORY_SAVE_DELAY_MS = 1000;
+let historySaveTimer = null;
+const History = {
+    undo: [],       // older snapshots (JSON strings), most recent last
+    redo: [],
+    current: null,  // snapshot of the state as last saved
+    restoring: false
+};
+
+function loadHistory() {
+    History.current = JSON.stringify(AppState);
+    const saved = localStorage.getItem('staffSchedulerHistory');
+    if (!saved) return;
+    try {
+        const parsed = JSON.parse(saved);
+        History.undo = parsed.undo || [];
+        History.redo = parsed.redo || [];
+    } catch (e) {
+        console.warn('Failed to load undo history:', e);
+    }
+}
+
+function scheduleHistorySave() {
+    clearTimeout(historySaveTimer);
+    historySaveTimer = setTimeout(saveHistory, HISTORY_SAVE_DELAY_MS);
+}
+
+// Write a pending history save now (the page is being left)
+function flushHistorySave() {
+    if (historySaveTimer === null) return;
+    saveHistory();
+}
+
+// Snapshots can be large; drop the oldest undo steps until the stacks fit in storage
+function saveHistory() {
+    clearTimeout(historySaveTimer);
+    historySaveTimer = null;
+    while (true) {
+        try {
+            localStorage.setItem('staffSchedulerHistory', JSON.stringify({ undo: History.undo, redo: History.redo }));
+            return;
+        } catch (e) {
+            if (History.undo.length === 0 && History.redo.length === 0) {
+                console.warn('Failed to save undo history:', e);
+                return;
+            }
+            if (History.undo.length > 0) {
+                History.undo.shift();
+            } else {
+                History.redo.shift();
+            }
+        }
+    }
+}
+
+function recordHistory(snapshot) {
+    if (History.current === null || History.restoring) {
+        History.current = snapshot;
+        return;
+    }
+    if (snapshot === History.current) return;
+
+    History.undo.push(History.current);
+    if (History.undo.length > HISTORY_LIMIT) History.undo.shift();
+    History.redo = [];
+    History.current = snapshot;
+    scheduleHistorySave();
+    updateHistoryButtons();
+}
+
+function undo() {
+    if (History.undo.length === 0 || archiveView) return;
+    History.redo.push(History.current);
+    restoreSnapshot(History.undo.pop());
+}
+
+function redo() {
+    if (History.redo.length === 0 || archiveView) return;
+    History.undo.push(History.current);
+    restoreSnapshot(History.redo.pop());
+}
+
+function restoreSnapshot(snapshot) {
+    if (swapMode) exitSwapMode();
+    cancelOptimizer();
+
+    History.restoring = true;
+    try {
+        Object.assign(AppState, JSON.parse(snapshot));
+        migrateEmployeeIds();
+        localStorage.setItem('staffSchedulerState', snapshot);
+        History.current = snapshot;
+        scheduleHistorySave();
+
+        renderUI();
+        if (!AppState.schedule) renderEmptySchedule();
+    } finally {
+        History.restoring = false;
+    }
+}
+
+function updateHistoryButtons() {
+    document.getElementById('undoBtn').disabled = History.undo.length === 0 || !!archiveView;
+    document.getElementById('redoBtn').disabled = History.redo.length === 0 || !!archiveView;
+}
+
+// ============================================
+// SCHEDULE RENDERING
+// ============================================
+
+function renderSchedule() {
+    if (!AppState.schedule) return;
+
+    const numDays = getDaysInPeriod();
+    const output = document.getElementById('scheduleOutput');
+
+    // Enable export buttons
+    document.getElementById('exportCsvBtn').disabled = false;
+    document.getElementById('exportIcsBtn').disabled = false;
+    document.getElementById('exportIcsZipBtn').disabled = false;
+    document.getElementById('exportJsonBtn').disabled = false;
+    document.getElementById('printBtn').disabled = false;
+    document.getElementById('swapBtn').disabled = !!archiveView;
+    document.getElementById('analyticsBtn').disabled = false;
+    document.getElementById('publishBtn').disabled = !!archiveView || !isScheduleForCurrentPeriod();
+
+    // Build header info
+    const periodText = formatPeriodLabel();
+
+    // Get shift codes that have totals (working shifts)
+    const rowContext = buildRowContext();
+    const { workingShifts, backupShift } = rowContext;
+
+    // Build table HTML
+    let html = `
         <div class="roster-wrapper">
             <div class="roster-header">
                 <div class="roster-title">${esc(AppState.departmentName) || 'Staff Schedule'}</div>
@@ -1612,376 +5723,1511 @@ function renderSchedule() {
                         <th class="staff-col"></th>
     `;
 
-    // Day number headers
-    for (let d = 0; d < numDays; d++) {
-        const date = getDateForDay(d);
-        const isWeekend = date.getDay() === 0 || date.getDay() === 6;
-        const dayNum = AppState.calendarStyle === 'monthly' ? d + 1 : date.getDate();
-        html += `<th class="${isWeekend ? 'weekend' : ''}">${dayNum}</th>`;
+    // Day number headers
+    for (let d = 0; d < numDays; d++) {
+        const date = getDateForDay(d);
+        const dayNum = AppState.calendarStyle === 'monthly' ? d + 1 : date.getDate();
+        html += `<th ${getDayHeaderAttrs(date)}>${dayNum}</th>`;
+    }
+
+    // Totals headers
+    workingShifts.forEach(s => {
+        html += `<th class="totals-col totals-header">${esc(s.code)}</th>`;
+    });
+    html += `<th class="totals-col totals-header total-main">Total</th>`;
+    html += `<th class="totals-col totals-header">Hrs</th>`;
+    html += `<th class="totals-col totals-header" title="Weekend shifts">WE</th>`;
+    html += `<th class="totals-col totals-header" title="Holiday shifts">Hol</th>`;
+    if (backupShift) {
+        html += `<th class="totals-col totals-header">${esc(backupShift.code)}</th>`;
+    }
+    html += `<th class="totals-col totals-header" title="Target shifts (contract)">Tgt</th>`;
+    html += `<th class="totals-col totals-header" title="Shifts above (+) or below (-) target">+/-</th>`;
+
+    html += `</tr><tr class="day-names"><th class="staff-col">STAFF</th>`;
+
+    // Day name headers
+    for (let d = 0; d < numDays; d++) {
+        const date = getDateForDay(d);
+        const dayName = DAY_NAMES[date.getDay()];
+        html += `<th ${getDayHeaderAttrs(date)}>${dayName}</th>`;
+    }
+
+    // Empty totals header cells
+    workingShifts.forEach(() => html += `<th class="totals-col"></th>`);
+    html += `<th class="totals-col"></th>`;
+    html += `<th class="totals-col"></th>`;
+    html += `<th class="totals-col"></th>`;
+    html += `<th class="totals-col"></th>`;
+    if (backupShift) html += `<th class="totals-col"></th>`;
+    html += `<th class="totals-col"></th>`;
+    html += `<th class="totals-col"></th>`;
+
+    html += `</tr></thead><tbody>`;
+
+    // Render each group
+    AppState.groups.forEach(group => {
+        // Group header row
+        html += `<tr class="group-row"><td colspan="${numDays + workingShifts.length + 7 + (backupShift ? 1 : 0)}">${esc(group.name)}</td></tr>`;
+
+        // Employee rows
+        group.employees.forEach(emp => {
+            html += `<tr class="employee-row" data-emp-id="${esc(emp.id)}">${renderEmployeeRowCells(emp, emp.id, numDays, rowContext)}</tr>`;
+        });
+    });
+
+    html += `</tbody></table>`;
+
+    // Coverage footer
+    html += renderCoverageFooter(numDays);
+
+    // Legend
+    html += `<div class="roster-legend">`;
+    AppState.shifts.forEach(shift => {
+        const timeStr = shift.start && shift.end ? `${esc(shift.start)}-${esc(shift.end)}` : '';
+        const isStandardShift = ['D','E','N','S','F','B','A'].includes(shift.code);
+        const legendStyle = isStandardShift ? '' : `style="background: ${esc(shift.color)}"`;
+        html += `<div class="legend-item">
+            <span class="legend-badge shift-${esc(shift.code.toLowerCase())}" ${legendStyle}>${esc(shift.code)}</span>
+            <span>${timeStr} ${shift.desc ? `(${esc(shift.desc)})` : ''}</span>
+        </div>`;
+    });
+    AppState.absenceTypes.forEach(type => {
+        html += `<div class="legend-item">
+            <span class="legend-badge shift-absence" style="background: ${esc(type.color)}">${esc(type.label || type.code)}</span>
+            <span>${esc(type.desc || type.code)}${type.countsAsHours ? ` (${type.hours || 0}h)` : ''}</span>
+        </div>`;
+    });
+    html += `</div></div>`;
+
+    output.innerHTML = html;
+
+    // Render warnings and the requests report
+    renderWarnings(rowContext.validation);
+    renderDiffPanel(rowContext.diff);
+    renderAnalyticsPanel(rowContext);
+    renderRequestsReport();
+    renderLeaveQueue();
+}
+
+// Cells of one employee's roster row (name, days, totals). Shared by the full
+// render and by refreshScheduleRows so single edits don't rebuild the table.
+function renderEmployeeRowCells(emp, empId, numDays, rowContext) {
+    const { workingShifts, backupShift, shiftLookup, dateStrs, dayKinds, validation, diff } = rowContext;
+    const empSchedule = AppState.schedule[empId] || [];
+    const pinnedDays = getPinnedDays(emp, dateStrs);
+    const cellIssues = validation.cellIssues[empId] || {};
+    const cellChanges = (diff && diff.cells[empId]) || {};
+    let html = `<td class="staff-col">${esc(emp.name)}</td>`;
+
+    // Shift counts for this employee
+    const counts = {};
+    workingShifts.forEach(s => counts[s.code] = 0);
+    if (backupShift) counts[backupShift.code] = 0;
+    let total = 0;
+    let hours = 0;
+    let weekends = 0;
+    let holidays = 0;
+
+    // Day cells
+    for (let d = 0; d < numDays; d++) {
+        const shiftCode = empSchedule[d];
+        const shift = shiftLookup[shiftCode];
+        const absence = getAbsenceType(shiftCode);
+
+        let cellClass = 'shift-cell';
+        let cellContent = '';
+
+        if (shiftCode) {
+            if (absence) {
+                cellClass += ' shift-absence';
+                cellContent = esc(absence.label || absence.code);
+                hours += getAbsenceHours(shiftCode);
+            } else {
+                cellClass += ` shift-${shiftCode.toLowerCase()}`;
+                cellContent = shiftCode.toLowerCase();
+
+                // Count for totals
+                if (counts[shiftCode] !== undefined) {
+                    counts[shiftCode]++;
+                }
+                if (shift && shift.type === 'working') {
+                    total++;
+                    if (dayKinds[d].weekend) weekends++;
+                    if (dayKinds[d].holiday) holidays++;
+                }
+                hours += getShiftHours(shiftCode, shiftLookup);
+            }
+        }
+
+        // Cells breaking a rule are outlined, with the reasons as a tooltip
+        const issues = cellIssues[d];
+        if (issues) cellClass += ' cell-invalid';
+        const tooltip = issues ? [...issues] : [];
+        if (absence && absence.desc) tooltip.unshift(absence.desc);
+
+        // Pinned cells get a lock and can't be dragged
+        if (pinnedDays[d]) {
+            cellClass += ' cell-pinned';
+            tooltip.push('Pinned');
+        }
+
+        // Cells that differ from the version being compared against are flagged
+        const change = cellChanges[d];
+        if (change) {
+            cellClass += ` cell-diff-${change.type}`;
+            tooltip.push(change.from ? `Was ${change.from}` : 'New shift');
+            if (change.type === 'removed') cellContent = `<span class="diff-was">${esc(change.from.toLowerCase())}</span>`;
+        }
+        const title = tooltip.length > 0 ? ` title="${esc(tooltip.join('\n'))}"` : '';
+
+        // Use CSS classes for colors (better print support) - inline style as fallback for custom shifts and absences
+        const colored = absence || (shift && !['D','E','N','S','F','B','A'].includes(shiftCode) ? shift : null);
+        const inlineStyle = colored ? `background: ${esc(colored.color)}` : '';
+        html += `<td class="${cellClass}" draggable="${!pinnedDays[d]}" data-emp-id="${esc(empId)}" data-day="${d}" onclick="editCell('${esc(empId)}', ${d})"${title} ${inlineStyle ? `style="${inlineStyle}"` : ''}>${cellContent}</td>`;
+    }
+
+    // Totals cells
+    workingShifts.forEach(s => {
+        html += `<td class="totals-col">${counts[s.code] || 0}</td>`;
+    });
+    html += `<td class="totals-col total-main">${total}</td>`;
+    html += `<td class="totals-col">${hours}</td>`;
+    html += `<td class="totals-col">${weekends}</td>`;
+    html += `<td class="totals-col">${holidays}</td>`;
+    if (backupShift) {
+        html += `<td class="totals-col">${counts[backupShift.code] || 0}</td>`;
+    }
+    // Target and variance columns (each person's contract target)
+    const target = getTargetShifts(emp);
+    const variance = total - target;
+    html += `<td class="totals-col">${target}</td>`;
+    html += `<td class="totals-col">${variance > 0 ? '+' : ''}${variance}</td>`;
+
+    return html;
+}
+
+// Build the per-render lookups shared by every employee row
+function buildRowContext() {
+    const dateStrs = Array.from({ length: getDaysInPeriod() }, (_, d) => formatDateStr(getDateForDay(d)));
+    return {
+        workingShifts: AppState.shifts.filter(s => s.type === 'working'),
+        backupShift: AppState.shifts.find(s => s.type === 'backup'),
+        shiftLookup: buildShiftLookup(),
+        dateStrs,
+        dayKinds: classifyDays(dateStrs),
+        validation: validateSchedule(AppState.schedule),
+        diff: getScheduleDiff()
+    };
+}
+
+// Incremental update after manual edits: re-render only the touched employee rows,
+// the coverage footer and warnings instead of the whole roster
+function refreshScheduleRows(empIds) {
+    const output = document.getElementById('scheduleOutput');
+    const footer = output.querySelector('.coverage-footer');
+    if (!AppState.schedule || !footer) {
+        renderSchedule();
+        return;
+    }
+
+    const numDays = getDaysInPeriod();
+    const rowContext = buildRowContext();
+
+    [...new Set(empIds)].forEach(empId => {
+        const row = output.querySelector(`tr.employee-row[data-emp-id="${empId}"]`);
+        const emp = findEmployee(empId);
+        if (row && emp) {
+            row.innerHTML = renderEmployeeRowCells(emp, empId, numDays, rowContext);
+        }
+    });
+
+    footer.outerHTML = renderCoverageFooter(numDays);
+    renderWarnings(rowContext.validation);
+    renderDiffPanel(rowContext.diff);
+    renderAnalyticsPanel(rowContext);
+    renderRequestsReport();
+    renderLeaveQueue();
+}
+
+function renderCoverageFooter(numDays) {
+    let html = `<table class="roster-table coverage-footer">`;
+
+    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
+    const backupShift = AppState.shifts.find(s => s.type === 'backup');
+    const adminShift = AppState.shifts.find(s => s.type === 'admin');
+
+    const allShiftsForFooter = [...workingShifts];
+    if (backupShift) allShiftsForFooter.push(backupShift);
+
+    const dailyCounts = countShiftsByDay(AppState.schedule, numDays);
+
+    allShiftsForFooter.forEach(shift => {
+        const coverage = shift.coverage !== undefined ? shift.coverage : getCoverageDefault(shift.code);
+
+        html += `<tr class="coverage-section">
+            <td class="staff-col coverage-row-header">
+                <div>${esc(shift.code)} ${shift.start && shift.end ? `${esc(shift.start)}-${esc(shift.end)}` : ''}</div>
+                ${shift.desc ? `<div class="coverage-label">${esc(shift.desc)}</div>` : ''}
+            </td>`;
+
+        let totalRequired = 0;
+
+        for (let d = 0; d < numDays; d++) {
+            // Backup has no weekday matrix; it keeps a flat count
+            const required = shift.type === 'working' ? getRequiredCoverage(shift, d) : coverage;
+            const override = shift.type === 'working' ? getCoverageOverride(formatDateStr(getDateForDay(d)), shift.code) : null;
+
+            const assigned = dailyCounts[d][shift.code] || 0;
+
+            totalRequired += required;
+
+            let cellClass = 'coverage-required';
+            if (required > 0) {
+                if (assigned < required) cellClass += ' coverage-under';
+                else if (assigned > required) cellClass += ' coverage-over';
+                else cellClass += ' coverage-met';
+            }
+            if (override) cellClass += ' coverage-override';
+
+            const title = override ? ` title="${esc(override.note || 'Date override')}"` : '';
+            html += `<td class="${cellClass}"${title}>${required}</td>`;
+        }
+
+        // Total required (sum)
+        workingShifts.forEach(() => html += `<td class="totals-col"></td>`);
+        html += `<td class="totals-col">${totalRequired}</td>`;
+        html += `<td class="totals-col"></td>`;
+        html += `<td class="totals-col"></td>`;
+        html += `<td class="totals-col"></td>`;
+        if (backupShift) html += `<td class="totals-col"></td>`;
+        html += `<td class="totals-col"></td>`;
+        html += `<td class="totals-col"></td>`;
+
+        html += `</tr>`;
+
+        // Skill minimum rows (e.g. "≥1 Charge"), colored by how many skilled staff are on the shift
+        (shift.skillMinimums || []).forEach(rule => {
+            html += `<tr class="coverage-section skill-row">
+                <td class="staff-col coverage-row-header">
+                    <div class="coverage-label">↳ ≥${rule.count} ${esc(rule.skill)}</div>
+                </td>`;
+            const skilledByDay = countSkilledByDay(AppState.schedule, shift.code, rule.skill, numDays);
+            for (let d = 0; d < numDays; d++) {
+                const required = getRequiredCoverage(shift, d) > 0 ? rule.count : 0;
+                const have = skilledByDay[d];
+                let cellClass = 'coverage-required';
+                if (required > 0) cellClass += have < required ? ' coverage-under' : ' coverage-met';
+                html += `<td class="${cellClass}" title="${have} with ${esc(rule.skill)}">${required}</td>`;
+            }
+            workingShifts.forEach(() => html += `<td class="totals-col"></td>`);
+            html += `<td class="totals-col"></td>`;
+            html += `<td class="totals-col"></td>`;
+            html += `<td class="totals-col"></td>`;
+            html += `<td class="totals-col"></td>`;
+            if (backupShift) html += `<td class="totals-col"></td>`;
+            html += `<td class="totals-col"></td>`;
+            html += `<td class="totals-col"></td>`;
+            html += `</tr>`;
+        });
+    });
+
+    // Legend row for admin
+    if (adminShift) {
+        html += `<tr class="coverage-section">
+            <td class="staff-col coverage-row-header" colspan="${numDays + workingShifts.length + 7 + (backupShift ? 1 : 0)}">
+                ${esc(adminShift.code)} = ${esc(adminShift.desc) || 'Admin'}
+            </td>
+        </tr>`;
+    }
+
+    html += `</table>`;
+    return html;
+}
+
+// Per-person count of dated requests granted by the current roster
+function renderRequestsReport() {
+    const panel = document.getElementById('requestsPanel');
+    const outcomes = collectRequestOutcomes(AppState.schedule, getDaysInPeriod());
+
+    if (outcomes.length === 0) {
+        panel.classList.add('hidden');
+        return;
     }
 
-    // Totals headers
-    workingShifts.forEach(s => {
-        html += `<th class="totals-col totals-header">${esc(s.code)}</th>`;
+    panel.classList.remove('hidden');
+    document.getElementById('requestsReport').innerHTML = outcomes.map(o => `
+        <tr>
+            <td>${esc(o.name)}</td>
+            <td>${o.granted}/${o.total}</td>
+            <td class="denied">${o.denied.length > 0 ? esc(o.denied.join(', ')) : '-'}</td>
+        </tr>
+    `).join('');
+}
+
+// Re-render the roster so cell annotations and warnings follow a settings change
+function revalidateSchedule() {
+    if (AppState.schedule) renderSchedule();
+}
+
+function renderWarnings(validation = validateSchedule(AppState.schedule)) {
+    const panel = document.getElementById('warningsPanel');
+    const list = document.getElementById('warningsList');
+    const warnings = validation.warnings;
+
+    if (warnings.length === 0) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    panel.classList.remove('hidden');
+    list.innerHTML = warnings.map(w => `<li>${esc(w)}</li>`).join('');
+}
+
+// ============================================
+// CELL EDITING
+// ============================================
+
+let currentEditCell = null;
+
+function editCell(empId, dayIndex) {
+    if (archiveView) return;
+    if (swapMode) {
+        handleSwapClick(empId, dayIndex);
+        return;
+    }
+
+    currentEditCell = { empId, dayIndex };
+
+    const emp = findEmployee(empId);
+    const date = getDateForDay(dayIndex);
+    const currentShift = ensureScheduleRow(empId)[dayIndex];
+
+    document.getElementById('cellModalInfo').textContent =
+        `${emp.name} - ${date.toLocaleDateString()}`;
+
+    // Build shift buttons
+    let buttonsHtml = '';
+    AppState.shifts.forEach(shift => {
+        const isActive = currentShift === shift.code;
+        buttonsHtml += `
+            <button class="shift-btn ${isActive ? 'active' : ''}" onclick="assignShift('${esc(shift.code)}')" style="border-color: ${esc(shift.color)}">
+                <span class="code" style="color: ${esc(shift.color)}">${esc(shift.code)}</span>
+                <span class="label">${esc(shift.desc || '')}</span>
+            </button>
+        `;
     });
-    html += `<th class="totals-col totals-header total-main">Total</th>`;
-    if (backupShift) {
-        html += `<th class="totals-col totals-header">${esc(backupShift.code)}</th>`;
+
+    // Absence codes
+    AppState.absenceTypes.forEach(type => {
+        buttonsHtml += `
+            <button class="shift-btn ${currentShift === type.code ? 'active' : ''}" onclick="assignShift('${esc(type.code)}')" style="border-color: ${esc(type.color)}">
+                <span class="code" style="color: ${esc(type.color)}">${esc(type.label || type.code)}</span>
+                <span class="label">${esc(type.desc || type.code)}</span>
+            </button>
+        `;
+    });
+    buttonsHtml += `
+        <button class="shift-btn ${currentShift === null ? 'active' : ''}" onclick="assignShift(null)">
+            <span class="code">-</span>
+            <span class="label">Clear</span>
+        </button>
+    `;
+
+    document.getElementById('shiftButtons').innerHTML = buttonsHtml;
+    const pinned = !!getFixedShift(emp, formatDateStr(date));
+    document.getElementById('pinCellBtn').textContent = pinned ? 'Unpin cell (P)' : 'Pin cell (P)';
+    document.getElementById('pinCellHint').textContent = pinned
+        ? 'Pinned: regenerating keeps this cell as it is.'
+        : 'Pinned cells are kept when the schedule is regenerated.';
+    document.getElementById('cellModal').classList.remove('hidden');
+}
+
+function closeCellModal() {
+    document.getElementById('cellModal').classList.add('hidden');
+    currentEditCell = null;
+}
+
+function assignShift(shiftCode) {
+    if (!currentEditCell) return;
+
+    const empId = currentEditCell.empId;
+    // A manual edit wins over a roster still being optimized
+    cancelOptimizer();
+    ensureScheduleRow(empId)[currentEditCell.dayIndex] = shiftCode;
+    // Editing a pinned cell moves the pin along with it
+    const emp = findEmployee(empId);
+    const dateStr = formatDateStr(getDateForDay(currentEditCell.dayIndex));
+    if (getFixedShift(emp, dateStr)) setFixedShift(emp, dateStr, shiftCode);
+    saveToStorage();
+    closeCellModal();
+    refreshScheduleRows([empId]);
+}
+
+function findEmployee(empId) {
+    const location = findEmployeeLocation(empId);
+    return location ? AppState.groups[location.gIndex].employees[location.eIndex] : null;
+}
+
+function findEmployeeLocation(empId) {
+    for (let gIndex = 0; gIndex < AppState.groups.length; gIndex++) {
+        const eIndex = AppState.groups[gIndex].employees.findIndex(emp => emp.id === empId);
+        if (eIndex !== -1) return { gIndex, eIndex };
     }
-    html += `<th class="totals-col totals-header">Est</th>`;
+    return null;
+}
 
-    html += `</tr><tr class="day-names"><th class="staff-col">STAFF</th>`;
+// Employees added after generation have no row yet; give them an empty one on first edit
+function ensureScheduleRow(empId) {
+    if (!AppState.schedule[empId]) {
+        AppState.schedule[empId] = new Array(getDaysInPeriod()).fill(null);
+    }
+    return AppState.schedule[empId];
+}
 
-    // Day name headers
+// ============================================
+// EXPORT & PRINT
+// ============================================
+
+function exportCSV() {
+    if (!AppState.schedule) return;
+
+    const numDays = getDaysInPeriod();
+    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
+    const backupShift = AppState.shifts.find(s => s.type === 'backup');
+    const shiftLookup = buildShiftLookup();
+    const dayKinds = classifyDays(Array.from({ length: numDays }, (_, d) => formatDateStr(getDateForDay(d))));
+
+    let csv = '';
+
+    // Header row 1 - day numbers
+    csv += 'STAFF,';
     for (let d = 0; d < numDays; d++) {
         const date = getDateForDay(d);
-        const isWeekend = date.getDay() === 0 || date.getDay() === 6;
-        const dayName = DAY_NAMES[date.getDay()];
-        html += `<th class="${isWeekend ? 'weekend' : ''}">${dayName}</th>`;
+        const dayNum = AppState.calendarStyle === 'monthly' ? d + 1 : date.getDate();
+        csv += dayNum + ',';
     }
+    workingShifts.forEach(s => csv += s.code + ',');
+    csv += 'Total,Hrs,WE,Hol';
+    if (backupShift) csv += ',' + backupShift.code;
+    csv += '\n';
 
-    // Empty totals header cells
-    workingShifts.forEach(() => html += `<th class="totals-col"></th>`);
-    html += `<th class="totals-col"></th>`;
-    if (backupShift) html += `<th class="totals-col"></th>`;
-    html += `<th class="totals-col"></th>`;
-
-    html += `</tr></thead><tbody>`;
-
-    // Render each group
-    AppState.groups.forEach((group, gIndex) => {
-        // Group header row
-        html += `<tr class="group-row"><td colspan="${numDays + workingShifts.length + 3 + (backupShift ? 1 : 0)}">${esc(group.name)}</td></tr>`;
+    // Header row 2 - day names
+    csv += ',';
+    for (let d = 0; d < numDays; d++) {
+        const date = getDateForDay(d);
+        csv += DAY_NAMES[date.getDay()] + ',';
+    }
+    csv += '\n';
 
-        // Employee rows
-        group.employees.forEach((emp, eIndex) => {
-            const empId = `${gIndex}-${eIndex}`;
-            const empSchedule = AppState.schedule[empId] || [];
+    // Data rows
+    AppState.groups.forEach(group => {
+        csv += csvCell(group.name) + '\n';
 
-            html += `<tr class="employee-row"><td class="staff-col">${esc(emp.name)}</td>`;
+        group.employees.forEach(emp => {
+            const empSchedule = AppState.schedule[emp.id] || [];
 
-            // Shift counts for this employee
             const counts = {};
             workingShifts.forEach(s => counts[s.code] = 0);
             if (backupShift) counts[backupShift.code] = 0;
-            let total = 0;
+            const fairness = countFairnessShifts(empSchedule.slice(0, numDays), dayKinds, shiftLookup);
+            let hours = 0;
 
-            // Day cells
-            for (let d = 0; d < numDays; d++) {
-                const shiftCode = empSchedule[d];
-                const shift = AppState.shifts.find(s => s.code === shiftCode);
-
-                let cellClass = 'shift-cell';
-                let cellContent = '';
-
-                if (shiftCode) {
-                    if (shiftCode === 'LEAVE') {
-                        cellClass += ' shift-leave';
-                        cellContent = 'L';
-                    } else if (shiftCode === 'TAD') {
-                        cellClass += ' shift-tad';
-                        cellContent = 'TAD';
-                    } else {
-                        cellClass += ` shift-${shiftCode.toLowerCase()}`;
-                        cellContent = shiftCode.toLowerCase();
-
-                        // Count for totals
-                        if (counts[shiftCode] !== undefined) {
-                            counts[shiftCode]++;
-                        }
-                        if (shift && shift.type === 'working') {
-                            total++;
-                        }
-                    }
-                }
+            csv += csvCell(emp.name) + ',';
 
-                // Use CSS classes for colors (better print support) - inline style as fallback for custom shifts
-                const inlineStyle = shift && !['D','E','N','S','F','B','A'].includes(shiftCode) ? `background: ${esc(shift.color)}` : '';
-                html += `<td class="${cellClass}" draggable="true" data-emp-id="${esc(empId)}" data-day="${d}" onclick="editCell('${esc(empId)}', ${d})" ${inlineStyle ? `style="${inlineStyle}"` : ''}>${cellContent}</td>`;
-            }
+            for (let d = 0; d < numDays; d++) {
+                const code = empSchedule[d] || '';
+                csv += code + ',';
 
-            // Totals cells
-            workingShifts.forEach(s => {
-                html += `<td class="totals-col">${counts[s.code] || 0}</td>`;
-            });
-            html += `<td class="totals-col total-main">${total}</td>`;
-            if (backupShift) {
-                html += `<td class="totals-col">${counts[backupShift.code] || 0}</td>`;
+                if (counts[code] !== undefined) counts[code]++;
+                if (code) hours += getShiftHours(code, shiftLookup);
             }
-            // Est column (estimated/target)
-            html += `<td class="totals-col">${AppState.constraints.targetShiftsPerPerson}</td>`;
 
-            html += `</tr>`;
+            workingShifts.forEach(s => csv += (counts[s.code] || 0) + ',');
+            csv += `${fairness.total},${hours},${fairness.weekend},${fairness.holiday}`;
+            if (backupShift) csv += ',' + (counts[backupShift.code] || 0);
+            csv += '\n';
         });
     });
 
-    html += `</tbody></table>`;
+    // Download
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `schedule_${AppState.departmentName.replace(/\s+/g, '_')}.csv`);
+    if (typeof umami !== 'undefined') umami.track('csv-exported');
+}
 
-    // Coverage footer
-    html += renderCoverageFooter(numDays);
+// Quote a CSV field when it contains a delimiter, quote or line break
+function csvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    // Legend
-    html += `<div class="roster-legend">`;
-    AppState.shifts.forEach(shift => {
-        const timeStr = shift.start && shift.end ? `${esc(shift.start)}-${esc(shift.end)}` : '';
-        const isStandardShift = ['D','E','N','S','F','B','A'].includes(shift.code);
-        const legendStyle = isStandardShift ? '' : `style="background: ${esc(shift.color)}"`;
-        html += `<div class="legend-item">
-            <span class="legend-badge shift-${esc(shift.code.toLowerCase())}" ${legendStyle}>${esc(shift.code)}</span>
-            <span>${timeStr} ${shift.desc ? `(${esc(shift.desc)})` : ''}</span>
-        </div>`;
+// Full roster as JSON: period, shifts, staff (with ids) and schedule. Re-importable.
+function exportJSON() {
+    if (!AppState.schedule) return;
+    const numDays = getDaysInPeriod();
+    const dates = Array.from({ length: numDays }, (_, d) => formatDateStr(getDateForDay(d)));
+    const dayKinds = classifyDays(dates);
+    const shiftLookup = buildShiftLookup();
+    const totals = {};
+    Object.keys(AppState.schedule).forEach(empId => {
+        const row = AppState.schedule[empId].slice(0, numDays);
+        const absences = {};
+        row.forEach(code => { if (getAbsenceType(code)) absences[code] = (absences[code] || 0) + 1; });
+        totals[empId] = {
+            ...countFairnessShifts(row, dayKinds, shiftLookup),
+            hours: row.reduce((sum, code) => sum + (code ? getShiftHours(code, shiftLookup) : 0), 0),
+            absences
+        };
     });
-    html += `<div class="legend-item">
-        <span class="legend-badge shift-leave" style="background: #ef4444">L</span>
-        <span>LEAVE</span>
-    </div>`;
-    html += `<div class="legend-item">
-        <span class="legend-badge shift-tad" style="background: #a855f7">T</span>
-        <span>TAD (Training/Travel)</span>
-    </div>`;
-    html += `</div></div>`;
+    const data = {
+        format: ROSTER_JSON_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        departmentName: AppState.departmentName,
+        period: {
+            calendarStyle: AppState.calendarStyle,
+            month: AppState.month,
+            year: AppState.year,
+            startDate: AppState.startDate,
+            duration: AppState.duration,
+            dates,
+            holidays: dates.filter(isHolidayDate).map(date => ({ date, name: getHoliday(date).name }))
+        },
+        shifts: AppState.shifts,
+        absenceTypes: AppState.absenceTypes,
+        groups: AppState.groups,
+        schedule: AppState.schedule,
+        totals // Working, night, weekend and holiday shifts, hours and absence days per employee
+    };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `schedule_${safeFileName(AppState.departmentName || 'Roster')}.json`);
+    if (typeof umami !== 'undefined') umami.track('json-exported');
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// ICS export: one VEVENT per assigned shift. Times are floating local times (no TZID),
+// so a 06:00 shift shows at 06:00 wherever the calendar is opened. UIDs are derived from
+// the employee id and date, so re-importing an updated roster replaces events in place.
+// Calendars only take the new copy when SEQUENCE goes up, so it counts the seconds from
+// ICS_SEQUENCE_EPOCH to the export: every later export has a higher one.
+
+const ICS_PRODID = '-//Staff Scheduler//Roster Export//EN';
+const ICS_SEQUENCE_EPOCH = Date.UTC(2024, 0, 1);
+
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are limited to 75 octets; continuation lines start with a space
+function foldIcsLine(line) {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const size = new TextEncoder().encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + size > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatIcsDate(date) {
+    return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatIcsDateTime(date) {
+    return `${formatIcsDate(date)}T${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}00`;
+}
+
+function formatIcsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// VEVENT lines for one employee's assigned shifts (absences and empty days are skipped)
+function buildIcsEvents(emp, empSchedule, options) {
+    const { shiftLookup, includeName, stamp, sequence } = options;
+    const lines = [];
+
+    empSchedule.forEach((code, d) => {
+        const shift = shiftLookup[code];
+        if (!shift) return;
+
+        const date = getDateForDay(d);
+        const dateStr = formatDateStr(date);
+        const label = shift.desc ? `${shift.code} (${shift.desc})` : `${shift.code} shift`;
+
+        lines.push('BEGIN:VEVENT');
+        lines.push(`UID:${emp.id}-${dateStr}@staff-scheduler`);
+        lines.push(`DTSTAMP:${stamp}`);
+        lines.push(`LAST-MODIFIED:${stamp}`);
+        lines.push(`SEQUENCE:${sequence}`);
+
+        const window = getShiftWindow(shift, 0);
+        if (window) {
+            // Shifts ending at or before their start run past midnight (window.end is > 24h)
+            const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, window.start);
+            const end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, window.end);
+            lines.push(`DTSTART:${formatIcsDateTime(start)}`);
+            lines.push(`DTEND:${formatIcsDateTime(end)}`);
+        } else {
+            // Untimed shifts (e.g. backup/admin without hours) become all-day events
+            const next = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(date)}`);
+            lines.push(`DTEND;VALUE=DATE:${formatIcsDate(next)}`);
+        }
+
+        lines.push(`SUMMARY:${escapeIcsText(includeName ? `${emp.name}: ${label}` : label)}`);
+        const holiday = getHoliday(dateStr);
+        const description = `${AppState.departmentName} - ${label}${holiday ? ` (holiday: ${holiday.name})` : ''}`;
+        lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+        lines.push(`CATEGORIES:${escapeIcsText(shift.code)}`);
+        lines.push('END:VEVENT');
+    });
+
+    return lines;
+}
+
+function buildIcsCalendar(name, eventLines) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        ...eventLines,
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function safeFileName(name) {
+    return String(name).trim().replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '') || 'export';
+}
+
+// scope: 'department' for one combined feed, 'employee' for one .ics per person in a zip
+function exportICS(scope) {
+    if (!AppState.schedule) return;
+    const now = new Date();
+    const options = {
+        shiftLookup: buildShiftLookup(),
+        includeName: scope === 'department',
+        stamp: formatIcsTimestamp(now),
+        sequence: Math.max(0, Math.floor((now.getTime() - ICS_SEQUENCE_EPOCH) / 1000))
+    };
+    const department = AppState.departmentName || 'Roster';
+
+    if (scope === 'department') {
+        const events = [];
+        AppState.groups.forEach(group => group.employees.forEach(emp => {
+            events.push(...buildIcsEvents(emp, AppState.schedule[emp.id] || [], options));
+        }));
+        const ics = buildIcsCalendar(department, events);
+        downloadBlob(new Blob([ics], { type: 'text/calendar' }), `schedule_${safeFileName(department)}.ics`);
+    } else {
+        const files = [];
+        const usedNames = new Set();
+        AppState.groups.forEach(group => group.employees.forEach(emp => {
+            const events = buildIcsEvents(emp, AppState.schedule[emp.id] || [], options);
+            if (events.length === 0) return;
+
+            // Two people with the same name still get separate files
+            let fileName = `${safeFileName(emp.name)}.ics`;
+            for (let n = 2; usedNames.has(fileName); n++) fileName = `${safeFileName(emp.name)}_${n}.ics`;
+            usedNames.add(fileName);
+
+            files.push({ name: fileName, data: buildIcsCalendar(`${department} - ${emp.name}`, events) });
+        }));
+        if (files.length === 0) {
+            alert('No assigned shifts to export.');
+            return;
+        }
+        downloadBlob(buildZip(files), `schedule_${safeFileName(department)}_ics.zip`);
+    }
+    if (typeof umami !== 'undefined') umami.track('ics-exported', { scope });
+}
+
+// Minimal ZIP writer (stored entries, no compression) for batch downloads.
+// files: [{ name, data }] where data is a string (UTF-8 encoded) or Uint8Array.
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);          // version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 names
+        local.setUint16(8, 0, true);           // stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);        // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);   // remaining fields (extra, comment, attrs) are 0
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+function printSchedule() {
+    window.print();
+    if (typeof umami !== 'undefined') umami.track('print-triggered');
+}
+
+// ============================================
+// ROSTER IMPORT (CSV / JSON)
+// ============================================
+// Reads the layout written by exportCSV (group rows, employee rows, day columns, totals)
+// or the full JSON from exportJSON. Both are parsed into the same shape:
+//   { groups: [{ name, employees: [{ id?, name, data?, row: [code] }] }], ... }
+// and checked against the current shifts, staff and period before anything is replaced.
+
+const ROSTER_JSON_FORMAT = 'staff-scheduler-roster';
+
+let pendingImport = null;
+
+function openRosterImport() {
+    if (archiveView) closeArchiveView();
+    const input = document.getElementById('importRosterFile');
+    input.value = '';
+    input.click();
+}
+
+function handleRosterImportFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const parsed = /\.json$/i.test(file.name) ? parseRosterJson(reader.result) : parseRosterCsv(reader.result);
+            pendingImport = { parsed, preview: buildImportPreview(parsed), fileName: file.name };
+            renderImportPreview();
+        } catch (e) {
+            alert(`Could not import ${file.name}: ${e.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// RFC 4180 fields: quoted values may contain commas, quotes ("") and line breaks
+function parseCsvRows(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.map(r => r.map(f => f.trim()));
+}
 
-    output.innerHTML = html;
+function parseRosterCsv(text) {
+    const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    const header = rows[0] || [];
+    if (!/^staff$/i.test(header[0] || '')) {
+        throw new Error('expected a "STAFF" header row as written by Export CSV');
+    }
 
-    // Render warnings
-    renderWarnings();
-}
+    // Day columns run until the first non-numeric header (the per-shift totals)
+    const dayNumbers = [];
+    for (let c = 1; c < header.length && /^\d+$/.test(header[c]); c++) {
+        dayNumbers.push(parseInt(header[c]));
+    }
+    const numDays = dayNumbers.length;
+    if (numDays === 0) throw new Error('no day columns found in the header row');
+
+    // Optional second header with weekday names
+    let bodyStart = 1;
+    let dayNames = null;
+    if (rows[1] && rows[1][0] === '' && rows[1].slice(1, numDays + 1).some(name => DAY_NAMES.includes(name.toUpperCase()))) {
+        dayNames = rows[1].slice(1, numDays + 1).map(name => name.toUpperCase());
+        bodyStart = 2;
+    }
 
-function renderCoverageFooter(numDays) {
-    let html = `<table class="roster-table coverage-footer">`;
+    const groups = [];
+    rows.slice(bodyStart).forEach(row => {
+        if (row.every(field => field === '')) return;
 
-    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
-    const backupShift = AppState.shifts.find(s => s.type === 'backup');
-    const adminShift = AppState.shifts.find(s => s.type === 'admin');
+        // Group rows have a name only; employee rows always carry their totals
+        if (row.slice(1).every(field => field === '')) {
+            groups.push({ name: row[0], employees: [] });
+            return;
+        }
+        if (groups.length === 0) groups.push({ name: 'Imported Staff', employees: [] });
+        groups[groups.length - 1].employees.push({
+            name: row[0],
+            row: Array.from({ length: numDays }, (_, d) => row[d + 1] || null)
+        });
+    });
 
-    const allShiftsForFooter = [...workingShifts];
-    if (backupShift) allShiftsForFooter.push(backupShift);
+    return { source: 'csv', groups, dayNumbers, dayNames, dates: null, period: null };
+}
 
-    allShiftsForFooter.forEach(shift => {
-        const coverage = shift.coverage !== undefined ? shift.coverage : getCoverageDefault(shift.code);
+function parseRosterJson(text) {
+    const data = JSON.parse(text);
+    if (!isPlainObject(data) || data.format !== ROSTER_JSON_FORMAT || !Array.isArray(data.groups) || !isPlainObject(data.schedule)) {
+        throw new Error('not a roster exported with Export JSON');
+    }
+    const hasName = (entry) => isPlainObject(entry) && typeof entry.name === 'string';
+    data.groups.forEach((group, gIndex) => {
+        if (!hasName(group)) throw new Error(`group ${gIndex + 1} has no name`);
+        if (group.employees !== undefined && !Array.isArray(group.employees)) throw new Error(`the employees of ${group.name} are not a list`);
+        (group.employees || []).forEach((emp, eIndex) => {
+            if (!hasName(emp)) throw new Error(`employee ${eIndex + 1} of ${group.name} has no name`);
+        });
+    });
 
-        html += `<tr class="coverage-section">
-            <td class="staff-col coverage-row-header">
-                <div>${esc(shift.code)} ${shift.start && shift.end ? `${esc(shift.start)}-${esc(shift.end)}` : ''}</div>
-                ${shift.desc ? `<div class="coverage-label">${esc(shift.desc)}</div>` : ''}
-            </td>`;
+    const groups = data.groups.map(group => ({
+        name: group.name,
+        employees: (group.employees || []).map(emp => ({
+            id: emp.id,
+            name: emp.name,
+            data: emp,
+            row: (Array.isArray(data.schedule[emp.id]) ? data.schedule[emp.id] : []).map(code => code || null)
+        }))
+    }));
+
+    return {
+        source: 'json',
+        groups,
+        dayNumbers: null,
+        dayNames: null,
+        dates: data.period ? data.period.dates : null,
+        period: data.period || null,
+        departmentName: data.departmentName
+    };
+}
 
-        let totalRequired = 0;
+// Dates the roster will cover once imported: the file's own period for JSON, else the current one
+function getImportDates(parsed) {
+    if (parsed.dates) return parsed.dates;
+    return Array.from({ length: getDaysInPeriod() }, (_, d) => formatDateStr(getDateForDay(d)));
+}
 
-        for (let d = 0; d < numDays; d++) {
-            const date = getDateForDay(d);
-            const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+// Imported codes resolve to current shift codes (exact, then case-insensitive) or null if unknown
+function buildImportCodeResolver() {
+    const codes = [...AppState.shifts.map(s => s.code), ...AppState.absenceTypes.map(type => type.code)];
+    const byLower = new Map(codes.map(code => [code.toLowerCase(), code]));
+    return (code) => codes.includes(code) ? code : byLower.get(String(code).toLowerCase()) || null;
+}
+
+// Match imported people to current staff: by id (JSON), then by name (case-insensitive)
+function matchImportedEmployee(imported, usedIds) {
+    const current = AppState.groups.flatMap(g => g.employees).filter(emp => !usedIds.has(emp.id));
+    const byId = imported.id && current.find(emp => emp.id === imported.id);
+    if (byId) return byId;
+    return current.find(emp => emp.name.trim().toLowerCase() === imported.name.trim().toLowerCase()) || null;
+}
 
-            let required = coverage;
-            if (AppState.coveragePreset === '8x5' && isWeekend && shift.type === 'working') {
-                required = 0;
+// Everything the user should see before the import replaces the roster
+function buildImportPreview(parsed) {
+    const resolveCode = buildImportCodeResolver();
+    const preview = { employees: 0, assignments: 0, unknownCodes: {}, nameMismatches: [], dateConflicts: [] };
+
+    // Period
+    const currentDays = getDaysInPeriod();
+    const currentDates = Array.from({ length: currentDays }, (_, d) => formatDateStr(getDateForDay(d)));
+    if (parsed.source === 'json' && parsed.dates) {
+        if (parsed.dates[0] !== currentDates[0] || parsed.dates.length !== currentDays) {
+            preview.dateConflicts.push(`File covers ${parsed.dates[0]} to ${parsed.dates[parsed.dates.length - 1]}; the current period (${currentDates[0]} to ${currentDates[currentDays - 1]}) will be replaced.`);
+        }
+    } else if (parsed.source === 'csv') {
+        if (parsed.dayNumbers.length !== currentDays) {
+            preview.dateConflicts.push(`File has ${parsed.dayNumbers.length} day columns but the current period has ${currentDays} days; ${parsed.dayNumbers.length > currentDays ? 'extra columns are dropped' : 'missing days are left empty'}.`);
+        }
+        const expectedNumbers = currentDates.map((dateStr, d) => AppState.calendarStyle === 'monthly' ? d + 1 : parseLocalDate(dateStr).getDate());
+        const numberMismatch = parsed.dayNumbers.findIndex((n, d) => d < currentDays && n !== expectedNumbers[d]);
+        if (numberMismatch !== -1) {
+            preview.dateConflicts.push(`Column ${numberMismatch + 1} is day ${parsed.dayNumbers[numberMismatch]} in the file but day ${expectedNumbers[numberMismatch]} in the current period.`);
+        }
+        if (parsed.dayNames) {
+            const nameMismatch = parsed.dayNames.findIndex((name, d) => d < currentDays && name !== DAY_NAMES[parseLocalDate(currentDates[d]).getDay()]);
+            if (nameMismatch !== -1) {
+                preview.dateConflicts.push(`Weekdays don't line up: Day ${nameMismatch + 1} is ${parsed.dayNames[nameMismatch]} in the file but ${DAY_NAMES[parseLocalDate(currentDates[nameMismatch]).getDay()]} in the current period.`);
             }
+        }
+    }
 
-            // Count assigned
-            let assigned = 0;
-            Object.keys(AppState.schedule).forEach(empId => {
-                if (AppState.schedule[empId][d] === shift.code) {
-                    assigned++;
-                }
-            });
+    // Staff and codes
+    const dates = getImportDates(parsed);
+    const usedIds = new Set();
+    parsed.groups.forEach(group => group.employees.forEach(imported => {
+        preview.employees++;
+        const match = matchImportedEmployee(imported, usedIds);
+        if (match) {
+            usedIds.add(match.id);
+            if (match.name !== imported.name) preview.nameMismatches.push(`"${imported.name}" matches existing "${match.name}"`);
+        } else {
+            preview.nameMismatches.push(`"${imported.name}" is not in the current staff list and will be added`);
+        }
 
-            totalRequired += required;
+        imported.row.forEach((code, d) => {
+            if (!code || d >= dates.length) return;
+            if (!resolveCode(code)) {
+                preview.unknownCodes[code] = (preview.unknownCodes[code] || 0) + 1;
+                return;
+            }
+            preview.assignments++;
 
-            let cellClass = 'coverage-required';
-            if (required > 0) {
-                if (assigned < required) cellClass += ' coverage-under';
-                else if (assigned > required) cellClass += ' coverage-over';
-                else cellClass += ' coverage-met';
+            // Shifts on days the person is already booked off
+            const unavailability = (match && match.unavailability) || [];
+            const clash = unavailability.find(u => u.startDate && dates[d] >= u.startDate && dates[d] <= (u.endDate || u.startDate));
+            if (clash && !getAbsenceType(resolveCode(code))) {
+                preview.dateConflicts.push(`${imported.name}: ${code} on ${dates[d]} overlaps ${clash.type} (${clash.startDate} to ${clash.endDate || clash.startDate}).`);
             }
+        });
+    }));
 
-            html += `<td class="${cellClass}">${required}</td>`;
-        }
+    AppState.groups.forEach(group => group.employees.forEach(emp => {
+        if (!usedIds.has(emp.id)) preview.nameMismatches.push(`"${emp.name}" is not in the file and will be removed`);
+    }));
 
-        // Total required (sum)
-        workingShifts.forEach(() => html += `<td class="totals-col"></td>`);
-        html += `<td class="totals-col">${totalRequired}</td>`;
-        if (backupShift) html += `<td class="totals-col"></td>`;
-        html += `<td class="totals-col"></td>`;
+    return preview;
+}
 
-        html += `</tr>`;
+function renderImportPreview() {
+    const { parsed, preview, fileName } = pendingImport;
+    const unknown = Object.keys(preview.unknownCodes);
+    const list = (items) => items.map(item => `<li>${esc(item)}</li>`).join('');
+
+    document.getElementById('importSummary').textContent =
+        `${fileName}: ${parsed.groups.length} group${parsed.groups.length === 1 ? '' : 's'}, ${preview.employees} employee${preview.employees === 1 ? '' : 's'}, ${preview.assignments} assignment${preview.assignments === 1 ? '' : 's'}. Importing replaces the current staff list and schedule.`;
+
+    const sections = [
+        ['importUnknownCodes', unknown.map(code => `${code} (${preview.unknownCodes[code]}×) - not a shift in this setup, left empty`)],
+        ['importNameMismatches', preview.nameMismatches],
+        ['importDateConflicts', preview.dateConflicts]
+    ];
+    sections.forEach(([id, items]) => {
+        document.getElementById(id).innerHTML = list(items);
+        document.getElementById(id).closest('.import-section').classList.toggle('hidden', items.length === 0);
     });
 
-    // Legend row for admin
-    if (adminShift) {
-        html += `<tr class="coverage-section">
-            <td class="staff-col coverage-row-header" colspan="${numDays + workingShifts.length + 3 + (backupShift ? 1 : 0)}">
-                ${esc(adminShift.code)} = ${esc(adminShift.desc) || 'Admin'}
-            </td>
-        </tr>`;
-    }
+    document.getElementById('importModal').classList.remove('hidden');
+}
 
-    html += `</table>`;
-    return html;
+function closeImportModal() {
+    document.getElementById('importModal').classList.add('hidden');
+    pendingImport = null;
 }
 
-function renderWarnings() {
-    const panel = document.getElementById('warningsPanel');
-    const list = document.getElementById('warningsList');
+function commitRosterImport() {
+    if (!pendingImport) return;
+    const { parsed } = pendingImport;
+    if (swapMode) exitSwapMode();
+    cancelOptimizer();
 
-    if (AppState.warnings.length === 0) {
-        panel.classList.add('hidden');
-        return;
+    // JSON brings its own period; CSV is laid onto the current one
+    if (parsed.period) {
+        ['calendarStyle', 'month', 'year', 'startDate', 'duration'].forEach(key => {
+            if (parsed.period[key] !== undefined) AppState[key] = parsed.period[key];
+        });
     }
+    if (parsed.departmentName) AppState.departmentName = parsed.departmentName;
 
-    panel.classList.remove('hidden');
-    list.innerHTML = AppState.warnings.map(w => `<li>${esc(w)}</li>`).join('');
+    const numDays = getDaysInPeriod();
+    const resolveCode = buildImportCodeResolver();
+    const usedIds = new Set();
+    const schedule = {};
+
+    AppState.groups = parsed.groups.map(group => ({
+        name: group.name,
+        employees: group.employees.map(imported => {
+            const match = matchImportedEmployee(imported, usedIds);
+            const emp = match
+                ? { ...match, name: imported.name }
+                : {
+                    ...(imported.data || {}),
+                    // Ids end up in inline handlers; only keep ones this app could have made
+                    id: EMPLOYEE_ID_PATTERN.test(imported.id) ? imported.id : generateEmployeeId(),
+                    name: imported.name,
+                    unavailability: (imported.data && imported.data.unavailability) || []
+                };
+            usedIds.add(emp.id);
+
+            schedule[emp.id] = Array.from({ length: numDays }, (_, d) => imported.row[d] ? resolveCode(imported.row[d]) : null);
+            return emp;
+        })
+    }));
+    ensureEmployeeIds(AppState.groups);
+    AppState.schedule = schedule;
+    AppState.schedulePeriod = { ...getPeriodBounds(), rotationPattern: null, rotationOffsets: {} };
+
+    closeImportModal();
+    saveToStorage();
+    renderUI();
+    if (typeof umami !== 'undefined') umami.track('roster-imported', { source: parsed.source });
 }
 
 // ============================================
-// CELL EDITING
+// STAFF IMPORT (HR SPREADSHEETS)
 // ============================================
+// Staff lists pasted or uploaded as CSV/TSV are read into rows, their columns are mapped
+// to employee fields, and the validated result is previewed before it is merged into
+// (or replaces) the current staff groups or a saved staff preset.
+
+const STAFF_IMPORT_FIELDS = [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'employee', 'employee name', 'full name', 'staff', 'staff name'] },
+    { key: 'group', label: 'Group', aliases: ['group', 'team', 'unit', 'ward', 'role', 'position', 'department'] },
+    { key: 'employeeNumber', label: 'Employee number', aliases: ['employee number', 'employee no', 'emp no', 'employee id', 'staff number', 'staff no', 'staff id', 'payroll', 'payroll no', 'payroll number', 'id', 'number'] },
+    { key: 'fte', label: 'FTE', aliases: ['fte', 'fte percent', 'contract fte', 'full time equivalent'] },
+    { key: 'skills', label: 'Skills', aliases: ['skills', 'skill', 'qualifications', 'certifications', 'competencies'] },
+    { key: 'leave', label: 'Leave dates', aliases: ['leave', 'leave dates', 'annual leave', 'time off', 'absence', 'absences', 'holidays'] }
+];
+
+const STAFF_IMPORT_DEFAULT_GROUP = 'Imported Staff';
+
+// { rows, hasHeader, mapping: { fieldKey: columnIndex | null } }
+let staffImport = null;
+
+function openStaffImport() {
+    staffImport = null;
+    document.getElementById('staffImportText').value = '';
+    document.getElementById('staffImportHasHeader').checked = true;
+    showStaffImportStep('source');
+    document.getElementById('staffImportModal').classList.remove('hidden');
+}
 
-let currentEditCell = null;
+function closeStaffImportModal() {
+    document.getElementById('staffImportModal').classList.add('hidden');
+    staffImport = null;
+}
 
-function editCell(empId, dayIndex) {
-    if (swapMode) {
-        handleSwapClick(empId, dayIndex);
-        return;
-    }
+function showStaffImportStep(step) {
+    const mapping = step === 'mapping';
+    document.getElementById('staffImportSource').classList.toggle('hidden', mapping);
+    document.getElementById('staffImportMapping').classList.toggle('hidden', !mapping);
+    document.getElementById('staffImportBackBtn').classList.toggle('hidden', !mapping);
+    document.getElementById('staffImportNextBtn').classList.toggle('hidden', mapping);
+    document.getElementById('staffImportCommitBtn').classList.toggle('hidden', !mapping);
+}
 
-    currentEditCell = { empId, dayIndex };
+function chooseStaffImportFile() {
+    const input = document.getElementById('staffImportFile');
+    input.value = '';
+    input.click();
+}
 
-    const emp = findEmployee(empId);
-    const date = getDateForDay(dayIndex);
-    const currentShift = AppState.schedule[empId][dayIndex];
+function handleStaffImportFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('staffImportText').value = reader.result;
+        readStaffImportText();
+    };
+    reader.readAsText(file);
+}
 
-    document.getElementById('cellModalInfo').textContent =
-        `${emp.name} - ${date.toLocaleDateString()}`;
+// Tabs (pasted from a spreadsheet), semicolons (European Excel) or commas
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    let best = ',';
+    let bestCount = 0;
+    ['\t', ';', ','].forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+}
 
-    // Build shift buttons
-    let buttonsHtml = '';
-    AppState.shifts.forEach(shift => {
-        const isActive = currentShift === shift.code;
-        buttonsHtml += `
-            <button class="shift-btn ${isActive ? 'active' : ''}" onclick="assignShift('${esc(shift.code)}')" style="border-color: ${esc(shift.color)}">
-                <span class="code" style="color: ${esc(shift.color)}">${esc(shift.code)}</span>
-                <span class="label">${esc(shift.desc || '')}</span>
-            </button>
-        `;
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Column index per field, guessed from the header row
+function guessStaffColumns(header) {
+    const normalized = header.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+    STAFF_IMPORT_FIELDS.forEach(field => {
+        const index = normalized.findIndex((h, c) => !used.has(c) && field.aliases.includes(h));
+        mapping[field.key] = index === -1 ? null : index;
+        if (index !== -1) used.add(index);
     });
+    // Without a recognisable name column, assume the first one holds names
+    if (mapping.name === null && !used.has(0)) mapping.name = 0;
+    return mapping;
+}
 
-    // Special codes
-    buttonsHtml += `
-        <button class="shift-btn ${currentShift === 'LEAVE' ? 'active' : ''}" onclick="assignShift('LEAVE')" style="border-color: #ef4444">
-            <span class="code" style="color: #ef4444">L</span>
-            <span class="label">LEAVE</span>
-        </button>
-        <button class="shift-btn ${currentShift === 'TAD' ? 'active' : ''}" onclick="assignShift('TAD')" style="border-color: #a855f7">
-            <span class="code" style="color: #a855f7">T</span>
-            <span class="label">TAD</span>
-        </button>
-        <button class="shift-btn ${currentShift === null ? 'active' : ''}" onclick="assignShift(null)">
-            <span class="code">-</span>
-            <span class="label">Clear</span>
-        </button>
-    `;
+function readStaffImportText() {
+    const text = document.getElementById('staffImportText').value.replace(/^\uFEFF/, '');
+    const rows = parseCsvRows(text, detectDelimiter(text)).filter(row => row.some(field => field !== ''));
+    if (rows.length === 0) {
+        alert('Paste or upload a staff list first.');
+        return;
+    }
 
-    document.getElementById('shiftButtons').innerHTML = buttonsHtml;
-    document.getElementById('cellModal').classList.remove('hidden');
+    const hasHeader = document.getElementById('staffImportHasHeader').checked;
+    staffImport = {
+        rows,
+        hasHeader,
+        mapping: hasHeader ? guessStaffColumns(rows[0]) : { ...guessStaffColumns([]), name: 0 }
+    };
+    renderStaffImportMapping();
+    renderStaffImportTargets();
+    showStaffImportStep('mapping');
+    renderStaffImportPreview();
 }
 
-function closeCellModal() {
-    document.getElementById('cellModal').classList.add('hidden');
-    currentEditCell = null;
+function renderStaffImportMapping() {
+    const { rows, hasHeader, mapping } = staffImport;
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const columnLabel = (c) => hasHeader && rows[0][c] ? rows[0][c] : `Column ${c + 1}`;
+    const options = Array.from({ length: columnCount }, (_, c) => `<option value="${c}">${esc(columnLabel(c))}</option>`).join('');
+
+    document.getElementById('staffImportColumns').innerHTML = STAFF_IMPORT_FIELDS.map(field => `
+        <div class="form-group">
+            <label>${field.label}${field.required ? ' *' : ''}</label>
+            <select class="form-control" onchange="updateStaffImportColumn('${field.key}', this.value)">
+                <option value="">-- ${field.required ? 'Select column' : 'Not imported'} --</option>
+                ${options}
+            </select>
+        </div>
+    `).join('');
+    document.querySelectorAll('#staffImportColumns select').forEach((select, i) => {
+        const column = mapping[STAFF_IMPORT_FIELDS[i].key];
+        select.value = column === null ? '' : column;
+    });
 }
 
-function assignShift(shiftCode) {
-    if (!currentEditCell) return;
+function updateStaffImportColumn(fieldKey, value) {
+    staffImport.mapping[fieldKey] = value === '' ? null : parseInt(value);
+    renderStaffImportPreview();
+}
 
-    AppState.schedule[currentEditCell.empId][currentEditCell.dayIndex] = shiftCode;
-    saveToStorage();
-    closeCellModal();
-    renderSchedule();
+// "Current staff" plus every saved preset
+function renderStaffImportTargets() {
+    const select = document.getElementById('staffImportTarget');
+    const presetNames = Object.keys(getStaffPresets()).sort();
+    select.innerHTML = '<option value="">Current staff groups</option>' +
+        presetNames.map(name => `<option value="${esc(name)}">Preset: ${esc(name)}</option>`).join('');
 }
 
-function findEmployee(empId) {
-    const [gIndex, eIndex] = empId.split('-').map(Number);
-    return AppState.groups[gIndex].employees[eIndex];
+function getStaffImportTargetGroups(target) {
+    if (!target) return AppState.groups;
+    const preset = getStaffPresets()[target];
+    return preset ? preset.groups : [];
 }
 
-// ============================================
-// EXPORT & PRINT
-// ============================================
+// 0.8, "80%" or 80 all mean 0.8 FTE
+function parseFte(text) {
+    const value = parseFloat(String(text).replace(',', '.'));
+    if (isNaN(value)) return null;
+    const fte = /%/.test(text) || value > 1.5 ? value / 100 : value;
+    return fte >= 0.05 && fte <= 1.5 ? Math.round(fte * 100) / 100 : null;
+}
 
-function exportCSV() {
-    if (!AppState.schedule) return;
+function isIsoDate(text) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+    const date = parseLocalDate(text);
+    return !isNaN(date) && formatDateStr(date) === text;
+}
 
-    const numDays = getDaysInPeriod();
-    const workingShifts = AppState.shifts.filter(s => s.type === 'working');
-    const backupShift = AppState.shifts.find(s => s.type === 'backup');
+// "2025-05-20; 2025-06-02 to 2025-06-06" (also "start/end" or "start..end") into leave entries
+function parseLeaveDates(text) {
+    const entries = [];
+    const invalid = [];
+    String(text || '').split(/[;|\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [startDate, endDate = startDate] = part.split(/\s+to\s+|\s*\/\s*|\s*\.\.\s*/i).map(d => d.trim());
+        if (isIsoDate(startDate) && isIsoDate(endDate) && endDate >= startDate) {
+            entries.push({ type: getDefaultAbsenceCode(), startDate, endDate });
+        } else {
+            invalid.push(part);
+        }
+    });
+    return { entries, invalid };
+}
 
-    let csv = '';
+// One record per data row, with errors (row skipped) and warnings (value ignored)
+function buildStaffImportRecords() {
+    const { rows, hasHeader, mapping } = staffImport;
+    const seen = new Map();
+
+    return rows.slice(hasHeader ? 1 : 0).map((row, i) => {
+        const value = (key) => mapping[key] === null ? '' : (row[mapping[key]] || '').trim();
+        const record = {
+            line: i + (hasHeader ? 2 : 1),
+            name: value('name'),
+            group: value('group'),
+            employeeNumber: value('employeeNumber'),
+            fte: null,
+            skills: mapping.skills === null ? null : parseSkillList(value('skills').replace(/[;|]/g, ',')),
+            leave: [],
+            errors: [],
+            warnings: []
+        };
+
+        if (mapping.name === null) record.errors.push('no name column selected');
+        else if (!record.name) record.errors.push('missing name');
+
+        if (value('fte')) {
+            record.fte = parseFte(value('fte'));
+            if (record.fte === null) record.warnings.push(`FTE "${value('fte')}" is not between 0.05 and 1.5 (or 5% to 150%)`);
+        }
 
-    // Header row 1 - day numbers
-    csv += 'STAFF,';
-    for (let d = 0; d < numDays; d++) {
-        const date = getDateForDay(d);
-        const dayNum = AppState.calendarStyle === 'monthly' ? d + 1 : date.getDate();
-        csv += dayNum + ',';
-    }
-    workingShifts.forEach(s => csv += s.code + ',');
-    csv += 'Total';
-    if (backupShift) csv += ',' + backupShift.code;
-    csv += '\n';
+        const leave = parseLeaveDates(value('leave'));
+        record.leave = leave.entries;
+        leave.invalid.forEach(part => record.warnings.push(`leave "${part}" is not a YYYY-MM-DD date or range`));
 
-    // Header row 2 - day names
-    csv += ',';
-    for (let d = 0; d < numDays; d++) {
-        const date = getDateForDay(d);
-        csv += DAY_NAMES[date.getDay()] + ',';
+        const key = record.employeeNumber ? `#${record.employeeNumber.toLowerCase()}` : record.name.toLowerCase();
+        if (record.name && seen.has(key)) {
+            record.errors.push(`duplicate of line ${seen.get(key)}`);
+        } else if (record.name) {
+            seen.set(key, record.line);
+        }
+        return record;
+    });
+}
+
+// Existing staff match by employee number, then by name (case-insensitive)
+function findStaffImportMatch(employees, record, usedIds) {
+    const available = employees.filter(emp => !usedIds.has(emp.id));
+    if (record.employeeNumber) {
+        const byNumber = available.find(emp => emp.employeeNumber && emp.employeeNumber.toLowerCase() === record.employeeNumber.toLowerCase());
+        if (byNumber) return byNumber;
     }
-    csv += '\n';
+    return available.find(emp => emp.name.trim().toLowerCase() === record.name.toLowerCase()) || null;
+}
 
-    // Data rows
-    AppState.groups.forEach((group, gIndex) => {
-        csv += group.name + '\n';
+// Applies valid records to a copy of groups; returns the new groups and what changed
+function applyStaffImport(groups, records, mode) {
+    const existing = JSON.parse(JSON.stringify(groups));
+    ensureEmployeeIds(existing);
+    const employees = existing.flatMap(group => group.employees);
+    const result = mode === 'replace' ? [] : existing;
+    const summary = { added: [], updated: [], moved: [], removed: [] };
+    const usedIds = new Set();
+
+    const findGroup = (name) => {
+        let group = result.find(g => g.name.trim().toLowerCase() === name.toLowerCase());
+        if (!group) {
+            group = { name, employees: [] };
+            result.push(group);
+        }
+        return group;
+    };
 
-        group.employees.forEach((emp, eIndex) => {
-            const empId = `${gIndex}-${eIndex}`;
-            const empSchedule = AppState.schedule[empId] || [];
+    records.filter(record => record.errors.length === 0).forEach(record => {
+        const match = findStaffImportMatch(employees, record, usedIds);
+        const emp = match || { id: generateEmployeeId(), name: record.name, unavailability: [] };
+        usedIds.add(emp.id);
+
+        emp.name = record.name;
+        if (record.employeeNumber) emp.employeeNumber = record.employeeNumber;
+        if (record.fte !== null) emp.fte = record.fte;
+        if (record.skills !== null) emp.skills = record.skills;
+        if (!emp.unavailability) emp.unavailability = [];
+        record.leave.forEach(entry => {
+            const known = emp.unavailability.some(u => u.startDate === entry.startDate && u.endDate === entry.endDate);
+            if (!known) emp.unavailability.push(entry);
+        });
 
-            const counts = {};
-            workingShifts.forEach(s => counts[s.code] = 0);
-            if (backupShift) counts[backupShift.code] = 0;
-            let total = 0;
+        const currentGroup = match && existing.find(group => group.employees.includes(match));
+        const groupName = record.group || (currentGroup ? currentGroup.name : STAFF_IMPORT_DEFAULT_GROUP);
+        const targetGroup = findGroup(groupName);
 
-            csv += emp.name + ',';
+        if (!match) {
+            targetGroup.employees.push(emp);
+            summary.added.push(emp.name);
+            return;
+        }
+        summary.updated.push(emp.name);
+        if (mode === 'replace') {
+            targetGroup.employees.push(emp);
+        } else if (targetGroup !== currentGroup) {
+            currentGroup.employees.splice(currentGroup.employees.indexOf(emp), 1);
+            targetGroup.employees.push(emp);
+            summary.moved.push(`${emp.name} → ${targetGroup.name}`);
+        }
+    });
 
-            for (let d = 0; d < numDays; d++) {
-                const code = empSchedule[d] || '';
-                csv += code + ',';
+    if (mode === 'replace') {
+        summary.removed = employees.filter(emp => !usedIds.has(emp.id));
+    }
+    return { groups: result, summary };
+}
 
-                if (counts[code] !== undefined) counts[code]++;
-                const shift = AppState.shifts.find(s => s.code === code);
-                if (shift && shift.type === 'working') total++;
-            }
+function renderStaffImportPreview() {
+    if (!staffImport) return;
+    const records = buildStaffImportRecords();
+    const target = document.getElementById('staffImportTarget').value;
+    const mode = document.getElementById('staffImportMode').value;
+    const { summary } = applyStaffImport(getStaffImportTargetGroups(target), records, mode);
+    const skipped = records.filter(record => record.errors.length > 0);
+    const list = (items) => items.map(item => `<li>${esc(item)}</li>`).join('');
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+    document.getElementById('staffImportSummary').textContent =
+        `${plural(records.length, 'row')}: ${summary.added.length} new, ${summary.updated.length} updated` +
+        `${summary.removed.length > 0 ? `, ${summary.removed.length} removed` : ''}` +
+        `${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}` +
+        ` (into ${target ? `preset "${target}"` : 'the current staff groups'}).`;
+
+    document.getElementById('staffImportTable').innerHTML = `
+        <thead><tr><th>Line</th><th>Name</th><th>Group</th><th>No.</th><th>FTE</th><th>Skills</th><th>Leave</th></tr></thead>
+        <tbody>
+            ${records.map(record => `
+                <tr class="${record.errors.length > 0 ? 'denied' : ''}">
+                    <td>${record.line}</td>
+                    <td>${esc(record.name)}</td>
+                    <td>${esc(record.group)}</td>
+                    <td>${esc(record.employeeNumber)}</td>
+                    <td>${record.fte === null ? '' : record.fte}</td>
+                    <td>${esc((record.skills || []).join(', '))}</td>
+                    <td>${record.leave.length || ''}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
 
-            workingShifts.forEach(s => csv += (counts[s.code] || 0) + ',');
-            csv += total;
-            if (backupShift) csv += ',' + (counts[backupShift.code] || 0);
-            csv += '\n';
-        });
+    const sections = [
+        ['staffImportErrors', skipped.map(record => `Line ${record.line}: ${record.errors.join('; ')} - skipped`)],
+        ['staffImportWarnings', records.flatMap(record => record.warnings.map(warning => `Line ${record.line}: ${warning} - ignored`))],
+        ['staffImportChanges', [
+            ...summary.moved.map(move => `Moves ${move}`),
+            ...summary.removed.map(emp => `Removes ${emp.name} (not in the file)`)
+        ]]
+    ];
+    sections.forEach(([id, items]) => {
+        document.getElementById(id).innerHTML = list(items);
+        document.getElementById(id).closest('.import-section').classList.toggle('hidden', items.length === 0);
     });
-
-    // Download
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `schedule_${AppState.departmentName.replace(/\s+/g, '_')}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
-    if (typeof umami !== 'undefined') umami.track('csv-exported');
 }
 
-function printSchedule() {
-    window.print();
-    if (typeof umami !== 'undefined') umami.track('print-triggered');
+function commitStaffImport() {
+    if (!staffImport) return;
+    const records = buildStaffImportRecords();
+    if (!records.some(record => record.errors.length === 0)) {
+        alert('No rows can be imported. Check the column mapping.');
+        return;
+    }
+    const target = document.getElementById('staffImportTarget').value;
+    const mode = document.getElementById('staffImportMode').value;
+    const { groups, summary } = applyStaffImport(getStaffImportTargetGroups(target), records, mode);
+
+    if (target) {
+        const presets = getStaffPresets();
+        presets[target].groups = groups;
+        presets[target].savedAt = new Date().toISOString();
+        saveStaffPresetsToStorage(presets);
+        closeStaffImportModal();
+        alert(`Staff preset "${target}" updated: ${summary.added.length} added, ${summary.updated.length} updated.`);
+        return;
+    }
+
+    // Swap and drag selections may point at people the import removes
+    if (swapMode) exitSwapMode();
+    cleanupDrag();
+    cancelOptimizer();
+    AppState.groups = groups;
+    summary.removed.forEach(emp => removeEmployeeSchedule(emp.id));
+    closeStaffImportModal();
+    renderGroupsList();
+    renderUnavailabilitySection();
+    saveToStorage();
+    if (AppState.schedule) renderSchedule();
+    if (typeof umami !== 'undefined') umami.track('staff-imported', { mode, employees: summary.added.length + summary.updated.length });
 }
 
 // ============================================
@@ -2010,10 +7256,13 @@ function getIndustryExample(industry) {
         healthcare: {
             departmentName: 'Emergency Department',
             coveragePreset: '24_7',
+            coverageOverrides: [
+                { date: '2025-05-26', shiftCode: 'N', count: 2, note: 'Memorial Day' }
+            ],
             shifts: [
                 { code: 'D', start: '06:00', end: '16:00', desc: 'Day Shift', type: 'working', color: '#f59e0b', coverage: 1 },
                 { code: 'E', start: '14:00', end: '00:00', desc: 'Evening Shift', type: 'working', color: '#8b5cf6', coverage: 1 },
-                { code: 'N', start: '20:00', end: '06:00', desc: 'Night Shift', type: 'working', color: '#1e40af', coverage: 1 },
+                { code: 'N', start: '20:00', end: '06:00', desc: 'Night Shift', type: 'working', color: '#1e40af', coverage: 1, skillMinimums: [{ skill: 'Charge', count: 1 }] },
                 { code: 'S', start: '11:00', end: '21:00', desc: 'Swing Shift', type: 'working', color: '#059669', coverage: 1 },
                 { code: 'F', start: '09:00', end: '19:00', desc: 'Flex Shift', type: 'working', color: '#d97706', coverage: 1 },
                 { code: 'B', start: '', end: '', desc: 'Backup', type: 'backup', color: '#10b981' },
@@ -2023,9 +7272,9 @@ function getIndustryExample(industry) {
                 {
                     name: 'TEAM ALPHA',
                     employees: [
-                        { name: 'Johnson', unavailability: [] },
+                        { name: 'Johnson', skills: ['Charge'], unavailability: [] },
                         { name: 'Martinez', unavailability: [] },
-                        { name: 'Chen', unavailability: [] },
+                        { name: 'Chen', skills: ['Charge'], unavailability: [] },
                         { name: 'Williams', unavailability: [{ type: 'LEAVE', startDate: '2025-05-20', endDate: '2025-05-20' }] },
                         { name: 'Thompson', unavailability: [] }
                     ]
@@ -2033,18 +7282,18 @@ function getIndustryExample(industry) {
                 {
                     name: 'TEAM BRAVO',
                     employees: [
-                        { name: 'Garcia', unavailability: [] },
+                        { name: 'Garcia', skills: ['Charge'], unavailability: [] },
                         { name: 'Rodriguez', unavailability: [] },
                         { name: 'Kim', unavailability: [{ type: 'LEAVE', startDate: '2025-05-06', endDate: '2025-05-08' }] },
                         { name: 'Davis', unavailability: [{ type: 'TAD', startDate: '2025-05-08', endDate: '2025-05-10' }] },
                         { name: 'Wilson', unavailability: [] },
-                        { name: 'Patel', unavailability: [] },
+                        { name: 'Patel', skills: ['Charge'], unavailability: [] },
                         { name: 'Anderson', unavailability: [
                             { type: 'LEAVE', startDate: '2025-05-03', endDate: '2025-05-04' },
                             { type: 'TAD', startDate: '2025-05-06', endDate: '2025-05-06' },
                             { type: 'LEAVE', startDate: '2025-05-12', endDate: '2025-05-14' }
                         ]},
-                        { name: 'Taylor', unavailability: [] },
+                        { name: 'Taylor', skills: ['Charge'], unavailability: [] },
                         { name: 'Brown', unavailability: [] },
                         { name: 'Mitchell', unavailability: [] }
                     ]
@@ -2222,15 +7471,18 @@ function getIndustryExample(industry) {
 }
 
 function loadIndustryExample() {
+    if (archiveView) closeArchiveView();
     const example = getIndustryExample(AppState.industry);
     AppState.calendarStyle = 'monthly';
     AppState.departmentName = example.departmentName;
     AppState.month = 4; // May
     AppState.year = 2025;
     AppState.coveragePreset = example.coveragePreset;
+    AppState.coverageOverrides = JSON.parse(JSON.stringify(example.coverageOverrides || []));
     AppState.shifts = JSON.parse(JSON.stringify(example.shifts));
     AppState.groups = JSON.parse(JSON.stringify(example.groups));
-    AppState.constraints = { ...example.constraints };
+    ensureEmployeeIds(AppState.groups);
+    AppState.constraints = { ...AppState.constraints, ...example.constraints };
     AppState.schedule = null;
 
     saveToStorage();
@@ -2241,27 +7493,54 @@ function loadIndustryExample() {
 
 function clearAll() {
     if (confirm('Clear all data and start fresh?')) {
+        if (archiveView) closeArchiveView();
         if (swapMode) exitSwapMode();
-        localStorage.removeItem('staffSchedulerState');
+        cancelOptimizer();
         AppState.groups = [];
         AppState.schedule = null;
-        AppState.warnings = [];
+        AppState.schedulePeriod = null;
+        AppState.periodHistory = null;
+        AppState.coverageOverrides = [];
+        AppState.holidays = [];
+        AppState.absenceTypes = DEFAULT_ABSENCE_TYPES.map(type => ({ ...type }));
+        AppState.leaveRequests = [];
         initializeDefaultShifts();
+        saveToStorage();
         renderUI();
-        document.getElementById('scheduleOutput').innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">📅</div>
-                <h3>No Schedule Generated</h3>
-                <p>Configure your settings and click "Generate Schedule" to create a roster.</p>
-                <p class="hint">Or click the "Load Example" button to see a sample schedule.</p>
-            </div>
-        `;
-        document.getElementById('exportCsvBtn').disabled = true;
-        document.getElementById('printBtn').disabled = true;
-        document.getElementById('swapBtn').disabled = true;
+        renderEmptySchedule();
     }
 }
 
+function renderEmptySchedule(title, message) {
+    document.getElementById('scheduleOutput').innerHTML = title ? `
+        <div class="empty-state">
+            <div class="empty-icon">📅</div>
+            <h3>${esc(title)}</h3>
+            <p>${esc(message)}</p>
+        </div>
+    ` : `
+        <div class="empty-state">
+            <div class="empty-icon">📅</div>
+            <h3>No Schedule Generated</h3>
+            <p>Configure your settings and click "Generate Schedule" to create a roster.</p>
+            <p class="hint">Or click the "Load Example" button to see a sample schedule.</p>
+        </div>
+    `;
+    document.getElementById('warningsPanel').classList.add('hidden');
+    document.getElementById('requestsPanel').classList.add('hidden');
+    document.getElementById('diffPanel').classList.add('hidden');
+    document.getElementById('analyticsPanel').classList.add('hidden');
+    renderLeaveQueue();
+    document.getElementById('exportCsvBtn').disabled = true;
+    document.getElementById('exportIcsBtn').disabled = true;
+    document.getElementById('exportIcsZipBtn').disabled = true;
+    document.getElementById('exportJsonBtn').disabled = true;
+    document.getElementById('printBtn').disabled = true;
+    document.getElementById('swapBtn').disabled = true;
+    document.getElementById('analyticsBtn').disabled = true;
+    document.getElementById('publishBtn').disabled = true;
+}
+
 // ============================================
 // DRAG-AND-DROP & SWAP MODE
 // ============================================
@@ -2271,19 +7550,29 @@ let swapMode = false;
 let swapSource = null;
 
 function handleDragStart(e, cell) {
+    if (archiveView) {
+        e.preventDefault();
+        return;
+    }
     const empId = cell.dataset.empId;
     const day = parseInt(cell.dataset.day);
+    // Pinned cells stay where they are
+    if (isCellPinned(empId, day)) {
+        e.preventDefault();
+        return;
+    }
     dragSource = { empId, day };
 
     cell.classList.add('dragging');
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/plain', '');
 
-    // Mark valid drop targets
+    // Mark drop targets; swaps that would break a rule are shown as invalid (still allowed)
+    const createsViolation = buildSwapChecker(AppState.schedule);
     document.querySelectorAll('#scheduleOutput td.shift-cell').forEach(td => {
-        if (td !== cell) {
-            td.classList.add('drop-target-valid');
-        }
+        if (td === cell || td.classList.contains('cell-pinned')) return;
+        const invalid = createsViolation(empId, day, td.dataset.empId, parseInt(td.dataset.day));
+        td.classList.add(invalid ? 'drop-target-invalid' : 'drop-target-valid');
     });
 }
 
@@ -2300,33 +7589,36 @@ function handleDrop(e, cell) {
     const targetEmpId = cell.dataset.empId;
     const targetDay = parseInt(cell.dataset.day);
 
-    // Same cell = no-op
-    if (targetEmpId === dragSource.empId && targetDay === dragSource.day) {
+    // Same cell or a pinned cell = no-op
+    if ((targetEmpId === dragSource.empId && targetDay === dragSource.day) || isCellPinned(targetEmpId, targetDay)) {
         cleanupDrag();
         return;
     }
 
     // Swap values
-    const sourceVal = AppState.schedule[dragSource.empId][dragSource.day];
-    const targetVal = AppState.schedule[targetEmpId][targetDay];
+    cancelOptimizer();
+    const sourceVal = ensureScheduleRow(dragSource.empId)[dragSource.day];
+    const targetVal = ensureScheduleRow(targetEmpId)[targetDay];
 
     AppState.schedule[dragSource.empId][dragSource.day] = targetVal;
     AppState.schedule[targetEmpId][targetDay] = sourceVal;
 
+    const sourceEmpId = dragSource.empId;
     saveToStorage();
     cleanupDrag();
-    renderSchedule();
+    refreshScheduleRows([sourceEmpId, targetEmpId]);
 }
 
 function cleanupDrag() {
     dragSource = null;
     document.querySelectorAll('#scheduleOutput .dragging').forEach(el => el.classList.remove('dragging'));
     document.querySelectorAll('#scheduleOutput .drop-target-valid').forEach(el => el.classList.remove('drop-target-valid'));
+    document.querySelectorAll('#scheduleOutput .drop-target-invalid').forEach(el => el.classList.remove('drop-target-invalid'));
     document.querySelectorAll('#scheduleOutput .drop-hover').forEach(el => el.classList.remove('drop-hover'));
 }
 
 function enterSwapMode() {
-    if (!AppState.schedule) return;
+    if (!AppState.schedule || archiveView) return;
     swapMode = true;
     swapSource = null;
     document.getElementById('swapBtn').classList.add('active');
@@ -2349,6 +7641,10 @@ function exitSwapMode() {
 }
 
 function handleSwapClick(empId, dayIndex) {
+    if (isCellPinned(empId, dayIndex)) {
+        alert('This cell is pinned. Unpin it before swapping.');
+        return;
+    }
     if (!swapSource) {
         // First click - select source
         swapSource = { empId, dayIndex };
@@ -2368,15 +7664,17 @@ function handleSwapClick(empId, dayIndex) {
         }
 
         // Execute swap
-        const sourceVal = AppState.schedule[swapSource.empId][swapSource.dayIndex];
-        const targetVal = AppState.schedule[empId][dayIndex];
+        cancelOptimizer();
+        const sourceVal = ensureScheduleRow(swapSource.empId)[swapSource.dayIndex];
+        const targetVal = ensureScheduleRow(empId)[dayIndex];
 
         AppState.schedule[swapSource.empId][swapSource.dayIndex] = targetVal;
         AppState.schedule[empId][dayIndex] = sourceVal;
 
+        const sourceEmpId = swapSource.empId;
         swapSource = null;
         saveToStorage();
-        renderSchedule();
+        refreshScheduleRows([sourceEmpId, empId]);
         // Stay in swap mode for chaining
     }
 }
@@ -2386,6 +7684,10 @@ window.editShift = editShift;
 window.deleteShift = deleteShift;
 window.closeShiftModal = closeShiftModal;
 window.saveShiftModal = saveShiftModal;
+window.editAbsenceType = editAbsenceType;
+window.deleteAbsenceType = deleteAbsenceType;
+window.closeAbsenceTypeModal = closeAbsenceTypeModal;
+window.saveAbsenceTypeModal = saveAbsenceTypeModal;
 window.updateGroupName = updateGroupName;
 window.deleteGroup = deleteGroup;
 window.addEmployee = addEmployee;
@@ -2399,10 +7701,44 @@ window.updateUnavailType = updateUnavailType;
 window.updateUnavailStart = updateUnavailStart;
 window.updateUnavailEnd = updateUnavailEnd;
 window.removeUnavailability = removeUnavailability;
+window.addRequest = addRequest;
+window.updateRequestType = updateRequestType;
+window.updateRequestDate = updateRequestDate;
+window.updateRequestShift = updateRequestShift;
+window.removeRequest = removeRequest;
+window.addFixedShift = addFixedShift;
+window.updateFixedShiftDate = updateFixedShiftDate;
+window.updateFixedShiftCode = updateFixedShiftCode;
+window.removeFixedShift = removeFixedShift;
 window.updateShiftCoverage = updateShiftCoverage;
+window.updateShiftWeekdayCoverage = updateShiftWeekdayCoverage;
+window.updateCoverageOverride = updateCoverageOverride;
+window.deleteCoverageOverride = deleteCoverageOverride;
+window.updateCustomHoliday = updateCustomHoliday;
+window.deleteCustomHoliday = deleteCustomHoliday;
+window.addSkillMinimum = addSkillMinimum;
+window.updateSkillMinimumCount = updateSkillMinimumCount;
+window.updateSkillMinimumSkill = updateSkillMinimumSkill;
+window.removeSkillMinimum = removeSkillMinimum;
 window.editCell = editCell;
 window.exitSwapMode = exitSwapMode;
+window.stopOptimizer = stopOptimizer;
 window.closeCellModal = closeCellModal;
+window.togglePinCell = togglePinCell;
+window.closeImportModal = closeImportModal;
+window.commitRosterImport = commitRosterImport;
+window.closeStaffImportModal = closeStaffImportModal;
+window.closeArchiveView = closeArchiveView;
+window.closeComparison = closeComparison;
+window.toggleAnalytics = toggleAnalytics;
+window.toggleLeaveQueue = toggleLeaveQueue;
+window.approveLeaveRequest = approveLeaveRequest;
+window.denyLeaveRequest = denyLeaveRequest;
+window.deleteLeaveRequest = deleteLeaveRequest;
+window.exportDiff = exportDiff;
+window.openViewedAsDraft = openViewedAsDraft;
+window.commitStaffImport = commitStaffImport;
+window.updateStaffImportColumn = updateStaffImportColumn;
 window.assignShift = assignShift;
 // Unavailability section functions
 window.updateUnavailEmployee = updateUnavailEmployee;
@@ -2410,3 +7746,6 @@ window.updateUnavailTypeSection = updateUnavailTypeSection;
 window.updateUnavailStartSection = updateUnavailStartSection;
 window.updateUnavailEndSection = updateUnavailEndSection;
 window.deleteUnavailEntry = deleteUnavailEntry;
+window.updateRecurringEmployee = updateRecurringEmployee;
+window.updateRecurringField = updateRecurringField;
+window.deleteRecurringEntry = deleteRecurringEntry;